@@ -1,5 +1,8 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Role from '../models/Role.js';
+import Session from '../models/Session.js';
+import { grants } from '../utils/permissions.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -38,6 +41,18 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // Reject tokens whose session was logged out or revoked
+      const session = decoded.sid && await Session.findById(decoded.sid);
+      if (!session || !session.isUsable() || req.user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked'
+        });
+      }
+      req.authSession = session;
+
+      req.permissions = await Role.permissionsFor(req.user.role);
+
       next();
     } catch (error) {
       return res.status(401).json({
@@ -53,16 +68,29 @@ export const protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-export const authorize = (...roles) => {
+// Check whether the authenticated user holds a permission
+export const hasPermission = (req, permission) => {
+  return grants(req.permissions || [], permission);
+};
+
+// Authenticate when a bearer token is sent; otherwise carry on anonymously
+export const optionalProtect = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return protect(req, res, next);
+  }
+  next();
+};
+
+// Grant access only to users holding every listed permission
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    const missing = permissions.find(permission => !hasPermission(req, permission));
+    if (missing) {
       return res.status(403).json({
         success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route`
+        message: `Permission '${missing}' is required to access this route`
       });
     }
     next();
   };
 };
-
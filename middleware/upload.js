@@ -0,0 +1,46 @@
+import multer from 'multer';
+import { IMAGE_TYPES, maxUploadBytes } from '../utils/images.js';
+
+const MAX_FILES = 10;
+
+const imageFilter = (req, file, cb) => {
+  if (!IMAGE_TYPES[file.mimetype]) {
+    const error = new Error(`${file.originalname} must be a JPEG, PNG, WebP or GIF image`);
+    error.statusCode = 400;
+    return cb(error);
+  }
+  cb(null, true);
+};
+
+// Parse multipart image uploads into memory (req.files, or req.file when
+// `maxCount` is 1). Oversized files and types other than images are turned
+// away with a 400 before the route runs.
+export const imageUpload = (field, maxCount = MAX_FILES) => {
+  return (req, res, next) => {
+    // Built per request so UPLOAD_MAX_SIZE_MB is read once the env is loaded
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxUploadBytes(), files: maxCount },
+      fileFilter: imageFilter
+    });
+    const parse = maxCount === 1 ? upload.single(field) : upload.array(field, maxCount);
+
+    parse(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_SIZE'
+            ? `Images must be at most ${maxUploadBytes() / (1024 * 1024)} MB`
+            : error.message
+        });
+      }
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    });
+  };
+};
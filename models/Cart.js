@@ -6,6 +6,9 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   quantity: {
     type: Number,
     required: true,
@@ -19,13 +22,35 @@ const cartItemSchema = new mongoose.Schema({
 });
 
 const cartSchema = new mongoose.Schema({
+  // Set for signed-in users; guest carts have a guestToken instead
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true
+  },
+  // Hash of the anonymous cart token sent by guests in X-Cart-Token
+  guestToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  expiresAt: {
+    type: Date
   },
   items: [cartItemSchema],
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
   total: {
     type: Number,
     default: 0
@@ -34,11 +59,33 @@ const cartSchema = new mongoose.Schema({
   timestamps: true
 });
 
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// A cart belongs to a user or to a guest token
+cartSchema.pre('validate', function(next) {
+  if (!this.user && !this.guestToken) {
+    this.invalidate('user', 'Cart must belong to a user or a guest');
+  }
+  next();
+});
+
+// Guest carts expire GUEST_CART_EXPIRE_DAYS after they were last changed
+cartSchema.pre('save', function(next) {
+  if (this.user) {
+    this.expiresAt = undefined;
+  } else {
+    const days = parseInt(process.env.GUEST_CART_EXPIRE_DAYS) || 30;
+    this.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+  next();
+});
+
 // Calculate total before saving
 cartSchema.pre('save', function(next) {
-  this.total = this.items.reduce((sum, item) => {
+  this.subtotal = this.items.reduce((sum, item) => {
     return sum + (item.price * item.quantity);
   }, 0);
+  this.total = Math.max(this.subtotal - this.discount, 0);
   next();
 });
 
@@ -10,7 +10,6 @@ const categorySchema = new mongoose.Schema(
     name: {
       type: String,
       required: [true, "Category name is required"],
-      unique: true,
       trim: true,
     },
     description: {
@@ -29,12 +28,39 @@ const categorySchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Every category above this one, from the root down to the parent
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    // Position among its siblings
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+const categoryError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Names only need to be unique among siblings (Men > Shirts, Women > Shirts)
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+categorySchema.index({ ancestors: 1 });
+
 // Generate numeric ID before saving
 categorySchema.pre("save", async function (next) {
   if (this.isNew && !this.categoryId) {
@@ -53,15 +79,142 @@ categorySchema.pre("save", async function (next) {
   next();
 });
 
-// Generate slug from name before saving
-categorySchema.pre("save", function (next) {
+// Resolve the ancestor path when a category is created or moved
+categorySchema.pre("save", async function (next) {
+  if (!this.isNew && !this.isModified("parent")) {
+    return next();
+  }
+
+  try {
+    if (!this.parent) {
+      this.ancestors = [];
+    } else {
+      const parent = await mongoose.model("Category").findById(this.parent);
+      if (!parent) {
+        return next(categoryError("Parent category not found"));
+      }
+      // A category cannot be moved under itself or one of its descendants
+      if (
+        parent._id.equals(this._id) ||
+        parent.ancestors.some((id) => id.equals(this._id))
+      ) {
+        return next(
+          categoryError(
+            "A category cannot be moved under one of its descendants"
+          )
+        );
+      }
+      this.ancestors = [...parent.ancestors, parent._id];
+    }
+    this.$locals.moved = !this.isNew;
+  } catch (error) {
+    return next(error);
+  }
+  next();
+});
+
+// Generate slug from name before saving; subcategory slugs are prefixed
+// with the parent's so they stay unique across the tree
+categorySchema.pre("save", async function (next) {
   if (this.isModified("name") && !this.slug) {
-    this.slug = this.name
+    let slug = this.name
       .toLowerCase()
       .replace(/\s+/g, "-")
       .replace(/[^\w\-]+/g, "");
+    if (this.parent) {
+      const parent = await mongoose
+        .model("Category")
+        .findById(this.parent)
+        .select("slug");
+      if (parent && parent.slug) {
+        slug = `${parent.slug}-${slug}`;
+      }
+    }
+    this.slug = slug;
   }
   next();
 });
 
+// Moving a category moves its whole subtree: rewrite the ancestor path of
+// every descendant
+categorySchema.post("save", async function () {
+  if (!this.$locals.moved) {
+    return;
+  }
+  this.$locals.moved = false;
+
+  const Category = mongoose.model("Category");
+  const descendants = await Category.find({ ancestors: this._id }).select(
+    "ancestors"
+  );
+  if (descendants.length === 0) {
+    return;
+  }
+
+  await Category.bulkWrite(
+    descendants.map((descendant) => {
+      const index = descendant.ancestors.findIndex((id) => id.equals(this._id));
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: {
+            ancestors: [
+              ...this.ancestors,
+              ...descendant.ancestors.slice(index),
+            ],
+          },
+        },
+      };
+    })
+  );
+});
+
+// Ids of a category and everything below it
+categorySchema.statics.subtreeIds = async function (id) {
+  const descendants = await this.find({ ancestors: id }).select("_id");
+  return [
+    new mongoose.Types.ObjectId(id),
+    ...descendants.map((category) => category._id),
+  ];
+};
+
+// Nest categories under their parents, siblings ordered by sortOrder then name
+categorySchema.statics.buildTree = function (categories) {
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      { ...category.toObject(), children: [] },
+    ])
+  );
+  const roots = [];
+
+  // Subtrees under a category left out of the list are dropped with it
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else if (!node.parent) {
+      roots.push(node);
+    }
+  }
+
+  const order = (a, b) =>
+    a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+  const sortLevel = (level) => {
+    level.sort(order);
+    level.forEach((node) => sortLevel(node.children));
+    return level;
+  };
+  return sortLevel(roots);
+};
+
+// Path from the root down to this category (ancestors must be populated)
+categorySchema.methods.breadcrumbs = function () {
+  return [...this.ancestors, this].map((category) => ({
+    _id: category._id,
+    name: category.name,
+    slug: category.slug,
+  }));
+};
+
 export default mongoose.model("Category", categorySchema);
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'],
+    required: [true, 'Coupon type is required']
+  },
+  // Percent off for 'percentage', amount off for 'fixed'
+  value: {
+    type: Number,
+    min: [0, 'Value must be positive'],
+    default: 0
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount must be positive']
+  },
+  // For 'buy_x_get_y': buy `buyQuantity`, get `getQuantity` of the cheapest free
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Get quantity must be at least 1']
+  },
+  // Restrict the discount to these products/categories (empty means all)
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  minSubtotal: {
+    type: Number,
+    min: [0, 'Minimum spend must be positive'],
+    default: 0
+  },
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: [1, 'Usage limit per user must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage cannot exceed 100');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy and get quantities are required for buy X get Y coupons');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after start date');
+  }
+  next();
+});
+
+export default mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+export const IMAGE_OWNER_TYPES = ['Product', 'Category'];
+
+// An uploaded image and the resized copies made of it. `url` is what is
+// stored on the owner (Product.images or Category.image).
+const imageSchema = new mongoose.Schema({
+  ownerType: {
+    type: String,
+    enum: IMAGE_OWNER_TYPES,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'ownerType',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String
+  },
+  contentType: {
+    type: String
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  // The stored original and each resized copy
+  files: [{
+    _id: false,
+    size: { type: String, required: true },
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    width: Number,
+    height: Number,
+    bytes: Number
+  }],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+imageSchema.index({ ownerType: 1, owner: 1 });
+
+// URL of each stored size, e.g. { original, large, medium, thumbnail }
+imageSchema.methods.sizes = function() {
+  return Object.fromEntries(this.files.map(file => [file.size, file.url]));
+};
+
+export default mongoose.model('Image', imageSchema);
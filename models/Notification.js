@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from '../utils/notificationTemplates.js';
+
+export const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed'];
+
+// A rendered email in the outgoing queue, kept as a log once sent
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  status: {
+    type: String,
+    enum: NOTIFICATION_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the next attempt is due while pending
+  nextAttemptAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('Notification', notificationSchema);
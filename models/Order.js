@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 
 const orderItemSchema = new mongoose.Schema({
@@ -6,6 +7,16 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Variant snapshot, for products sold in several options
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: String,
+  options: [{
+    _id: false,
+    name: String,
+    value: String
+  }],
   name: {
     type: String,
     required: true
@@ -22,9 +33,45 @@ const orderItemSchema = new mongoose.Schema({
   total: {
     type: Number,
     required: true
+  },
+  // Units taken by return requests that were not rejected or cancelled
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 });
 
+// Statuses each status may move to; anything else is rejected
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: String
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -46,14 +93,30 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Tax already contained in tax-inclusive prices (not added to the total)
+  includedTax: {
+    type: Number,
+    default: 0
+  },
   shipping: {
     type: Number,
     default: 0
   },
+  shippingMethod: {
+    code: String,
+    name: String
+  },
   discount: {
     type: Number,
     default: 0
   },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: {
+    type: String
+  },
   total: {
     type: Number,
     required: true,
@@ -83,6 +146,15 @@ const orderSchema = new mongoose.Schema({
     },
     phone: String
   },
+  billingAddress: {
+    name: String,
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+    phone: String
+  },
   paymentMethod: {
     type: String,
     enum: ['credit_card', 'debit_card', 'paypal', 'cash_on_delivery', 'bank_transfer'],
@@ -93,26 +165,52 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'paid', 'failed', 'refunded'],
     default: 'pending'
   },
+  // Payment intent at the provider, for online payment methods
+  payment: {
+    provider: String,
+    intentId: String,
+    // Handed out again while the intent is pending; never sent with the order
+    clientSecret: {
+      type: String,
+      select: false
+    }
+  },
+  paidAt: {
+    type: Date
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: Object.keys(ORDER_STATUS_TRANSITIONS),
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
   notes: {
     type: String
   },
+  shippedAt: {
+    type: Date
+  },
   deliveredAt: {
     type: Date
+  },
+  cancelledAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
-// Generate order number before saving
-orderSchema.pre('save', async function(next) {
+// Generate order number before validation (it is a required field).
+// The random suffix keeps numbers unique when orders are placed concurrently.
+orderSchema.pre('validate', async function(next) {
   if (!this.orderNumber) {
     const count = await mongoose.model('Order').countDocuments();
-    this.orderNumber = `RK-${Date.now()}-${count + 1}`;
+    const suffix = crypto.randomBytes(2).toString('hex').toUpperCase();
+    this.orderNumber = `RK-${Date.now()}-${count + 1}-${suffix}`;
   }
   next();
 });
@@ -124,5 +222,9 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+orderSchema.methods.canTransitionTo = function(status) {
+  return ORDER_STATUS_TRANSITIONS[this.status].includes(status);
+};
+
 export default mongoose.model('Order', orderSchema);
 
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Log of every payment operation and webhook event for an order
+const paymentTransactionSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['intent', 'capture', 'refund', 'webhook'],
+    required: true
+  },
+  // Provider id of the payment intent this operation belongs to
+  intentId: {
+    type: String,
+    index: true
+  },
+  // Provider id of the charge or refund itself
+  reference: {
+    type: String,
+    index: true
+  },
+  // Provider id of the webhook event, used to process each event once
+  eventId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  eventType: {
+    type: String
+  },
+  amount: {
+    type: Number
+  },
+  currency: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('PaymentTransaction', paymentTransactionSchema);
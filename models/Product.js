@@ -1,5 +1,46 @@
 import mongoose from "mongoose";
 
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, "Variant SKU is required"],
+    trim: true,
+    uppercase: true,
+  },
+  // Option attributes, e.g. [{ name: "size", value: "M" }]
+  options: [
+    {
+      _id: false,
+      name: { type: String, required: true, trim: true, lowercase: true },
+      value: { type: String, required: true, trim: true },
+    },
+  ],
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, "Price must be positive"],
+  },
+  stock: {
+    type: Number,
+    min: [0, "Stock cannot be negative"],
+    default: 0,
+  },
+  // Weight in kg; overrides the product weight when set
+  weight: {
+    type: Number,
+    min: [0, "Weight must be positive"],
+  },
+  images: [
+    {
+      type: String,
+    },
+  ],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -7,6 +48,14 @@ const productSchema = new mongoose.Schema(
       required: [true, "Product name is required"],
       trim: true,
     },
+    // Catalog SKU; bulk imports match existing products on it
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      unique: true,
+      sparse: true,
+    },
     description: {
       type: String,
       required: [true, "Product description is required"],
@@ -27,12 +76,23 @@ const productSchema = new mongoose.Schema(
         type: String,
       },
     ],
+    // Weight in kg, used for weight-based shipping
+    weight: {
+      type: Number,
+      min: [0, "Weight must be positive"],
+      default: 0,
+    },
     stock: {
       type: Number,
       required: [true, "Stock quantity is required"],
       min: [0, "Stock cannot be negative"],
       default: 0,
     },
+    // Overrides LOW_STOCK_THRESHOLD for this product and its variants
+    lowStockThreshold: {
+      type: Number,
+      min: [0, "Low stock threshold cannot be negative"],
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -41,13 +101,86 @@ const productSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    // Descriptive attributes used as search filters, e.g.
+    // [{ name: "material", value: "Cotton" }]
+    attributes: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true, lowercase: true },
+        value: { type: String, required: true, trim: true },
+      },
+    ],
+    // Maintained from approved reviews, see Review.updateProductRating
+    averageRating: {
+      type: Number,
+      default: 0,
+    },
+    reviewCount: {
+      type: Number,
+      default: 0,
+    },
+    variants: {
+      type: [variantSchema],
+      validate: {
+        validator: (variants) =>
+          new Set(variants.map((variant) => variant.sku)).size ===
+          variants.length,
+        message: "Variant SKUs must be unique",
+      },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Variant SKUs are unique across the catalog
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  }
+);
+
+// For products with variants, stock is the total across variants. It is only
+// computed for new products: afterwards stock changes as atomic $inc updates
+// (utils/stock.js), and saving a total computed from a copy that may be out of
+// date would undo concurrent sales.
+productSchema.pre("save", function (next) {
+  if (this.isNew && this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  }
+  next();
+});
+
+productSchema.methods.hasVariants = function () {
+  return this.variants.length > 0;
+};
+
+productSchema.methods.findVariant = function (variantId) {
+  return variantId ? this.variants.id(variantId) : null;
+};
+
+// Unit price of a variant, falling back to the product price
+productSchema.methods.priceFor = function (variant) {
+  return variant && variant.price != null ? variant.price : this.price;
+};
+
+productSchema.methods.weightFor = function (variant) {
+  return variant && variant.weight != null ? variant.weight : this.weight || 0;
+};
+
 // Index for search
 productSchema.index({ name: "text", description: "text", tags: "text" });
+productSchema.index({ tags: 1 });
+productSchema.index({ "attributes.name": 1, "attributes.value": 1 });
 
 export default mongoose.model("Product", productSchema);
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'no_longer_needed',
+  'other'
+];
+
+// Statuses each return status may move to; anything else is rejected
+export const RETURN_STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['received', 'cancelled'],
+  received: ['refunded'],
+  refunded: [],
+  rejected: [],
+  cancelled: []
+};
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in Order.items
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true
+  },
+  // What the customer paid for these units, discount and tax included
+  refundAmount: {
+    type: Number,
+    required: true
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [returnItemSchema],
+  status: {
+    type: String,
+    enum: Object.keys(RETURN_STATUS_TRANSITIONS),
+    default: 'requested'
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    from: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Generate RMA number before validation (it is a required field)
+returnRequestSchema.pre('validate', function(next) {
+  if (!this.rmaNumber) {
+    this.rmaNumber = `RMA-${Date.now()}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+returnRequestSchema.pre('save', function(next) {
+  this.refundAmount = Math.round(
+    this.items.reduce((sum, item) => sum + item.refundAmount, 0) * 100
+  ) / 100;
+  next();
+});
+
+returnRequestSchema.methods.canTransitionTo = function(status) {
+  return RETURN_STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [120, 'Title cannot exceed 120 characters']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // The reviewer received this product in a delivered order
+  isVerifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  // Only approved reviews are shown and counted in the product rating
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'hidden'],
+    default: 'approved'
+  },
+  reports: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderationNote: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+// Recalculate averageRating and reviewCount on the product from its
+// approved reviews
+reviewSchema.statics.updateProductRating = async function(productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$product', averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    {
+      averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+      reviewCount: stats ? stats.reviewCount : 0
+    }
+  );
+};
+
+export default mongoose.model('Review', reviewSchema);
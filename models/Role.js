@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS, WILDCARD_PERMISSION, DEFAULT_ROLES } from '../utils/permissions.js';
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Role name may only contain letters, numbers and underscores']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (values) => values.every(
+        value => value === WILDCARD_PERMISSION || PERMISSIONS.includes(value)
+      ),
+      message: 'Unknown permission in role'
+    }
+  },
+  // Default permissions a system role has been granted on startup, so that
+  // one an admin removed is not granted again
+  grantedDefaults: {
+    type: [String],
+    default: []
+  },
+  // System roles are seeded on startup and cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Insert missing system roles and grant existing ones the default
+// permissions added in later releases. Each default is granted once, so
+// permissions an admin added or removed since stay that way. Roles seeded
+// before defaults were tracked are granted all the defaults they lack.
+roleSchema.statics.ensureDefaults = async function() {
+  for (const { permissions, ...role } of DEFAULT_ROLES) {
+    const existing = await this.findOne({ name: role.name }).select('grantedDefaults');
+    if (!existing) {
+      await this.updateOne(
+        { name: role.name },
+        { $setOnInsert: { ...role, permissions, grantedDefaults: permissions, isSystem: true } },
+        { upsert: true }
+      );
+      continue;
+    }
+
+    const added = permissions.filter(permission => !existing.grantedDefaults.includes(permission));
+    if (added.length > 0) {
+      await this.updateOne(
+        { _id: existing._id },
+        { $addToSet: { permissions: { $each: added }, grantedDefaults: { $each: added } } }
+      );
+    }
+  }
+};
+
+// Permissions granted to a role name (none if the role does not exist)
+roleSchema.statics.permissionsFor = async function(name) {
+  const role = await this.findOne({ name }).select('permissions');
+  return role ? role.permissions : [];
+};
+
+export default mongoose.model('Role', roleSchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// One session per signed-in device. Only hashes of refresh tokens are stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of tokens already rotated out, kept to detect reuse
+  previousTokenHashes: {
+    type: [String],
+    select: false,
+    index: true
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke every open session of a user (logout everywhere)
+sessionSchema.statics.revokeAllForUser = async function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// Zone-specific rates; a method with zones ships only to matching addresses
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  countries: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  states: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  rate: {
+    type: Number,
+    min: [0, 'Rate must be positive']
+  },
+  ratePerKg: {
+    type: Number,
+    min: [0, 'Rate per kg must be positive']
+  }
+}, { _id: false });
+
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Shipping method code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Shipping method name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // flat: rate; weight_based: rate + ratePerKg * weight;
+  // free_over_threshold: rate, or free once the subtotal reaches freeOver
+  type: {
+    type: String,
+    enum: ['flat', 'weight_based', 'free_over_threshold'],
+    required: [true, 'Shipping method type is required']
+  },
+  rate: {
+    type: Number,
+    min: [0, 'Rate must be positive'],
+    default: 0
+  },
+  ratePerKg: {
+    type: Number,
+    min: [0, 'Rate per kg must be positive'],
+    default: 0
+  },
+  freeOver: {
+    type: Number,
+    min: [0, 'Threshold must be positive']
+  },
+  zones: [shippingZoneSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ShippingMethod', shippingMethodSchema);
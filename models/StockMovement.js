@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+export const STOCK_MOVEMENT_TYPES = ['sale', 'cancellation', 'return', 'adjustment', 'restock'];
+
+// Reason codes for stock changed by hand
+export const ADJUSTMENT_REASONS = [
+  'initial_stock',
+  'supplier_delivery',
+  'count_correction',
+  'damaged',
+  'lost',
+  'found',
+  'manual_edit',
+  'other'
+];
+
+// Ledger of every change to a product's (or variant's) stock
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: STOCK_MOVEMENT_TYPES,
+    required: true
+  },
+  // Signed change: negative when stock goes out, positive when it comes in
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Stock of the product (or variant) right after the change
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ADJUSTMENT_REASONS
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+export default mongoose.model('StockMovement', stockMovementSchema);
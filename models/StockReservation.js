@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Stock held for a user while they check out. Reservations don't change
+// Product.stock; they lower what others can buy until they expire, are
+// cancelled or turn into an order.
+const stockReservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ product: 1, variant: 1, expiresAt: 1 });
+
+// Expired reservations are ignored right away and removed by MongoDB later
+stockReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('StockReservation', stockReservationSchema);
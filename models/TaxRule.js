@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Tax rate for a country, optionally narrowed to a state and/or category.
+// The most specific matching rule wins (state beats category).
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rule name is required'],
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  // Percentage, e.g. 8.875
+  rate: {
+    type: Number,
+    required: [true, 'Tax rate is required'],
+    min: [0, 'Tax rate must be positive'],
+    max: [100, 'Tax rate cannot exceed 100']
+  },
+  // Prices in this region already include the tax
+  priceIncludesTax: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRuleSchema.index({ country: 1, state: 1, category: 1 });
+
+export default mongoose.model('TaxRule', taxRuleSchema);
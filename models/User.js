@@ -1,5 +1,58 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { DEFAULT_ROLE } from '../utils/permissions.js';
+
+// Emails a user can switch off; all are on by default
+export const NOTIFICATION_PREFERENCES = [
+  'orderConfirmation',
+  'orderShipped',
+  'orderDelivered',
+  'orderCancelled'
+];
+
+// An entry in the user's address book
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  street: {
+    type: String,
+    required: [true, 'Street address is required'],
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    trim: true
+  },
+  zipCode: {
+    type: String,
+    required: [true, 'Zip code is required'],
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,10 +74,12 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Name of a Role document; its permissions are resolved on each request
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    lowercase: true,
+    trim: true,
+    default: DEFAULT_ROLE
   },
   phone: {
     type: String,
@@ -37,14 +92,48 @@ const userSchema = new mongoose.Schema({
     zipCode: String,
     country: String
   },
+  addresses: [addressSchema],
+  defaultShippingAddress: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  defaultBillingAddress: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  notificationPreferences: {
+    orderConfirmation: { type: Boolean, default: true },
+    orderShipped: { type: Boolean, default: true },
+    orderDelivered: { type: Boolean, default: true },
+    orderCancelled: { type: Boolean, default: true }
+  },
+  passwordChangedAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+// Defaults must point at a saved address; the first address saved becomes
+// the default until another one is chosen
+userSchema.pre('validate', function(next) {
+  for (const field of ['defaultShippingAddress', 'defaultBillingAddress']) {
+    if (!this[field] || !this.addresses.id(this[field])) {
+      this[field] = this.addresses.length > 0 ? this.addresses[0]._id : undefined;
+    }
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -52,13 +141,30 @@ userSchema.pre('save', async function(next) {
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
+// Users created before preferences existed have none stored and get everything
+userSchema.methods.wantsNotification = function(preference) {
+  const preferences = this.notificationPreferences;
+  return !preferences || preferences[preference] !== false;
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check if the password changed after a token was issued (JWT iat, in seconds)
+userSchema.methods.changedPasswordAfter = function(timestamp) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > timestamp;
+};
+
 export default mongoose.model('User', userSchema);
 
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { hashToken } from '../utils/generateToken.js';
+
+// Lifetime of each token type, in minutes
+const TOKEN_TTL = {
+  password_reset: () => parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60,
+  email_verification: () => parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_MINUTES) || 24 * 60
+};
+
+// Single-use, time-limited tokens sent to users by email
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(TOKEN_TTL),
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create a token, invalidating earlier unused ones of the same type.
+// Returns the raw token; only its hash is stored.
+userTokenSchema.statics.issue = async function(userId, type) {
+  await this.deleteMany({ user: userId, type, usedAt: { $exists: false } });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL[type]() * 60 * 1000)
+  });
+  return token;
+};
+
+// Mark a valid token as used and return it, or null if it is unknown,
+// expired or already used
+userTokenSchema.statics.consume = async function(token, type) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+export default mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { EVENT_TYPES } from '../utils/events.js';
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// An endpoint that receives domain events as signed JSON POSTs
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'Webhook URL must be an http(s) URL']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Event types to deliver; '*' subscribes to all of them
+  events: {
+    type: [{
+      type: String,
+      enum: [...EVENT_TYPES, '*']
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // Signs every delivery; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    default: generateWebhookSecret
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ isActive: 1, events: 1 });
+
+webhookSchema.methods.subscribesTo = function(type) {
+  return this.events.includes('*') || this.events.includes(type);
+};
+
+export default mongoose.model('Webhook', webhookSchema);
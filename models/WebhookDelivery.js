@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// One event sent (or to be sent) to one webhook, with every attempt made
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  // The exact JSON body sent, so redeliveries are identical
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the next attempt is due while pending
+  nextAttemptAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  attemptLog: [{
+    _id: false,
+    attemptedAt: { type: Date, default: Date.now },
+    responseStatus: Number,
+    responseBody: String,
+    error: String,
+    durationMs: Number
+  }]
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Name of the list cart items are moved to with "save for later"
+export const SAVED_FOR_LATER = 'Saved for later';
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Price when the item was added, to show how much it has dropped since
+  priceWhenAdded: {
+    type: Number
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Wishlist name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  items: [wishlistItemSchema],
+  // Shared lists can be viewed by anyone holding the share token
+  isShared: {
+    type: Boolean,
+    default: false
+  },
+  shareToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Email the owner when an item drops in price or is back in stock
+  notifications: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ user: 1, name: 1 }, { unique: true });
+wishlistSchema.index({ 'items.product': 1 });
+
+// A new share token is issued each time a list is shared, so unsharing
+// invalidates any link handed out before
+wishlistSchema.pre('validate', function(next) {
+  if (this.isShared && !this.shareToken) {
+    this.shareToken = crypto.randomBytes(16).toString('hex');
+  } else if (!this.isShared && this.shareToken) {
+    this.shareToken = undefined;
+  }
+  next();
+});
+
+wishlistSchema.methods.findItem = function(productId, variantId) {
+  return this.items.find(item =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
+// Add a product (or variant) unless it is already on the list
+wishlistSchema.methods.addItem = function(product, variant) {
+  const existing = this.findItem(product._id, variant && variant._id);
+  if (existing) {
+    return existing;
+  }
+
+  this.items.push({
+    product: product._id,
+    variant: variant ? variant._id : undefined,
+    priceWhenAdded: product.priceFor(variant)
+  });
+  return this.items[this.items.length - 1];
+};
+
+// Get (or create) the user's "save for later" list
+wishlistSchema.statics.savedForLater = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId, name: SAVED_FOR_LATER },
+    { $setOnInsert: { user: userId, name: SAVED_FOR_LATER } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+export default mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,201 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { ADDRESS_FIELDS, addressBookEntry } from '../utils/addresses.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const MAX_ADDRESSES = 20;
+
+const REQUIRED_FIELDS = {
+  street: 'Street address is required',
+  city: 'City is required',
+  state: 'State is required',
+  zipCode: 'Zip code is required',
+  country: 'Country is required'
+};
+
+// Rules for a full address, or with `optional` for a partial update
+const addressRules = (optional) => [
+  ...Object.entries(REQUIRED_FIELDS).map(([field, message]) => {
+    const rule = body(field);
+    return (optional ? rule.optional() : rule).trim().notEmpty().withMessage(message);
+  }),
+  body('label').optional().trim().isLength({ max: 50 }).withMessage('Label cannot exceed 50 characters'),
+  body('name').optional().trim(),
+  body('phone').optional().trim(),
+  body('isDefaultShipping').optional().isBoolean().toBoolean(),
+  body('isDefaultBilling').optional().isBoolean().toBoolean()
+];
+
+// Copy address fields and default flags from the request onto an entry
+const applyAddress = (user, address, data) => {
+  for (const field of ['label', ...ADDRESS_FIELDS]) {
+    if (data[field] !== undefined) {
+      address[field] = data[field];
+    }
+  }
+  if (data.isDefaultShipping) {
+    user.defaultShippingAddress = address._id;
+  }
+  if (data.isDefaultBilling) {
+    user.defaultBillingAddress = address._id;
+  }
+};
+
+// @route   GET /api/addresses
+// @desc    Get the user's saved addresses
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const addresses = user.addresses.map(address => addressBookEntry(user, address));
+
+    res.json({
+      success: true,
+      count: addresses.length,
+      data: addresses
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/addresses/:id
+// @desc    Get a saved address
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.id);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: addressBookEntry(user, address)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/addresses
+// @desc    Save a new address
+// @access  Private
+router.post('/', addressRules(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES} addresses`
+      });
+    }
+
+    user.addresses.push({});
+    const address = user.addresses[user.addresses.length - 1];
+    applyAddress(user, address, req.body);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      data: addressBookEntry(user, address)
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/addresses/:id
+// @desc    Update a saved address or make it a default
+// @access  Private
+router.put('/:id', addressRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.id);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    applyAddress(user, address, req.body);
+    await user.save();
+
+    res.json({
+      success: true,
+      data: addressBookEntry(user, address)
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/addresses/:id
+// @desc    Delete a saved address
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.id);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    // A deleted default is replaced by the first remaining address
+    user.addresses.pull(address._id);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Address deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,137 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  INTERVALS,
+  dateRange,
+  timezone,
+  salesSummary,
+  salesOverTime,
+  topProducts,
+  topCategories,
+  cartConversion,
+  statusBreakdown
+} from '../utils/analytics.js';
+import { toCsv } from '../utils/csv.js';
+
+const router = express.Router();
+
+router.use(protect, requirePermission('analytics:read'));
+
+const rangeRules = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+];
+
+const rankingRules = [
+  query('by').optional().isIn(['revenue', 'quantity']).withMessage('by must be revenue or quantity'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt().withMessage('Limit must be between 1 and 100')
+];
+
+const day = (date) => date.toISOString().slice(0, 10);
+
+// Run a report over the requested date range and reply with JSON, or with a
+// CSV download when ?format=csv. `csv` turns the report into { columns, rows }.
+const report = (name, build, csv) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const range = dateRange(req.query);
+    const data = await build(range, req.query);
+
+    if (req.query.format === 'csv') {
+      const { columns, rows } = csv(data);
+      // `to` is exclusive; name the file after the last day included
+      res.attachment(`${name}-${day(range.from)}-to-${day(new Date(range.to.getTime() - 1))}.csv`);
+      return res.send(toCsv(columns, rows));
+    }
+
+    res.json({
+      success: true,
+      range,
+      data
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const RANKING_COLUMNS = ['name', 'quantity', 'revenue', 'orders'];
+
+// @route   GET /api/analytics/summary
+// @desc    Orders, revenue, refunds and average order value for a date range
+// @access  Private (analytics:read)
+router.get('/summary', rangeRules, report(
+  'sales-summary',
+  (range) => salesSummary(range),
+  (summary) => ({ columns: Object.keys(summary), rows: [summary] })
+));
+
+// @route   GET /api/analytics/sales
+// @desc    Orders and revenue per day, week or month (?interval=, ?timezone=)
+// @access  Private (analytics:read)
+router.get('/sales', [
+  ...rangeRules,
+  query('interval').optional().isIn(INTERVALS).withMessage('Interval must be day, week or month')
+], report(
+  'sales',
+  (range, { interval, ...rest }) => salesOverTime(range, { interval, timezone: timezone(rest) }),
+  (periods) => ({
+    columns: ['period', 'orders', 'revenue', 'refunds', 'netRevenue', 'averageOrderValue'],
+    rows: periods.map(period => ({ ...period, period: period.period.toISOString() }))
+  })
+));
+
+// @route   GET /api/analytics/top-products
+// @desc    Best-selling products by revenue or quantity
+// @access  Private (analytics:read)
+router.get('/top-products', [...rangeRules, ...rankingRules], report(
+  'top-products',
+  (range, { by, limit }) => topProducts(range, { by, limit }),
+  (products) => ({ columns: ['product', ...RANKING_COLUMNS], rows: products })
+));
+
+// @route   GET /api/analytics/top-categories
+// @desc    Best-selling categories by revenue or quantity
+// @access  Private (analytics:read)
+router.get('/top-categories', [...rangeRules, ...rankingRules], report(
+  'top-categories',
+  (range, { by, limit }) => topCategories(range, { by, limit }),
+  (categories) => ({ columns: ['category', 'slug', ...RANKING_COLUMNS], rows: categories })
+));
+
+// @route   GET /api/analytics/conversion
+// @desc    Share of carts that turned into orders
+// @access  Private (analytics:read)
+router.get('/conversion', rangeRules, report(
+  'cart-conversion',
+  (range) => cartConversion(range),
+  (conversion) => ({ columns: Object.keys(conversion), rows: [conversion] })
+));
+
+// @route   GET /api/analytics/status
+// @desc    Orders and order value by status and payment status
+// @access  Private (analytics:read)
+router.get('/status', rangeRules, report(
+  'order-status',
+  (range) => statusBreakdown(range),
+  (breakdown) => ({
+    columns: ['type', 'value', 'orders', 'total'],
+    rows: [
+      ...breakdown.status.map(group => ({ type: 'status', value: group.status, ...group })),
+      ...breakdown.paymentStatus.map(group => ({ type: 'paymentStatus', value: group.paymentStatus, ...group }))
+    ]
+  })
+));
+
+export default router;
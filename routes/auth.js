@@ -1,11 +1,33 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
-import { generateToken } from '../utils/generateToken.js';
+import Session from '../models/Session.js';
+import UserToken from '../models/UserToken.js';
+import { issueTokens, rotateTokens, hashToken } from '../utils/generateToken.js';
 import { protect } from '../middleware/auth.js';
+import {
+  requireEmailVerification,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} from '../utils/authEmails.js';
+import { CART_TOKEN_HEADER, mergeGuestCart } from '../utils/carts.js';
+import { emitEvent } from '../utils/events.js';
 
 const router = express.Router();
 
+// Move the guest cart named by the cart token into the user's cart. Resolves
+// to the lines that could not be merged in full, or undefined when there was
+// no guest cart. A failed merge is logged and doesn't block signing in.
+const mergeCartOnSignIn = async (user, req) => {
+  try {
+    const adjustments = await mergeGuestCart(user._id, req.get(CART_TOKEN_HEADER) || req.body.cartToken);
+    return adjustments || undefined;
+  } catch (error) {
+    console.error('Cart merge error:', error);
+    return undefined;
+  }
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -42,18 +64,42 @@ router.post('/register', [
       phone
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A failed email should not fail the registration; it can be resent
+    try {
+      const verificationToken = await UserToken.issue(user._id, 'email_verification');
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    const userData = {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified
+    };
+    emitEvent('user.registered', { user: userData });
+
+    // No session until the email is verified when verification is required
+    if (requireEmailVerification()) {
+      return res.status(201).json({
+        success: true,
+        message: 'Registration successful. Please verify your email before logging in.',
+        user: userData
+      });
+    }
+
+    // Open a session for this device
+    const { token, refreshToken } = await issueTokens(user, req);
+    const cartMerge = await mergeCartOnSignIn(user, req);
 
     res.status(201).json({
       success: true,
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
+      refreshToken,
+      user: userData,
+      cartMerge
     });
   } catch (error) {
     res.status(500).json({
@@ -107,18 +153,29 @@ router.post('/login', [
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (requireEmailVerification() && !user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email before logging in'
+      });
+    }
+
+    // Open a session for this device
+    const { token, refreshToken } = await issueTokens(user, req);
+    const cartMerge = await mergeCartOnSignIn(user, req);
 
     res.json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
-      }
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
+      },
+      cartMerge
     });
   } catch (error) {
     res.status(500).json({
@@ -136,7 +193,380 @@ router.get('/me', protect, async (req, res) => {
     const user = await User.findById(req.user._id);
     res.json({
       success: true,
-      user
+      user,
+      permissions: req.permissions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = hashToken(req.body.refreshToken);
+    const session = await Session.findOne({ tokenHash });
+
+    if (!session) {
+      // A rotated-out token being replayed means it leaked: end that session
+      await Session.updateOne(
+        { previousTokenHashes: tokenHash, revokedAt: { $exists: false } },
+        { revokedAt: new Date() }
+      );
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (
+      !session.isUsable() ||
+      !user ||
+      !user.isActive ||
+      user.changedPasswordAfter(Math.floor(session.createdAt.getTime() / 1000))
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    const tokens = await rotateTokens(session);
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session that owns a refresh token
+// @access  Public
+router.post('/logout', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    await Session.updateOne(
+      { tokenHash: hashToken(req.body.refreshToken), revokedAt: { $exists: false } },
+      { revokedAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user (all devices)
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await Session.revokeAllForUser(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip lastUsedAt createdAt expiresAt')
+      .sort('-lastUsedAt');
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const result = await Session.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: { $exists: false } },
+      { revokedAt: new Date() }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token sent by email
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userToken = await UserToken.consume(req.body.token, 'email_verification');
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    await User.updateOne(
+      { _id: userToken.user },
+      { isEmailVerified: true, emailVerifiedAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Public
+router.post('/resend-verification', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user && user.isActive && !user.isEmailVerified) {
+      const token = await UserToken.issue(user._id, 'email_verification');
+      await sendVerificationEmail(user, token);
+    }
+
+    // Same answer either way so the endpoint cannot be used to probe emails
+    res.json({
+      success: true,
+      message: 'If the account exists and is unverified, a verification email has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user && user.isActive) {
+      const token = await UserToken.issue(user._id, 'password_reset');
+      await sendPasswordResetEmail(user, token);
+    }
+
+    // Same answer either way so the endpoint cannot be used to probe emails
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userToken = await UserToken.consume(req.body.token, 'password_reset');
+    const user = userToken && await User.findById(userToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    // Receiving the reset email proves ownership of the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await Session.revokeAllForUser(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/auth/change-password
+// @desc    Change password; signs out every other device
+// @access  Private
+router.put('/change-password', protect, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+    await Session.revokeAllForUser(user._id);
+
+    // Keep this device signed in with a fresh session
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token,
+      refreshToken
     });
   } catch (error) {
     res.status(500).json({
@@ -2,24 +2,120 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
-import { protect } from '../middleware/auth.js';
+import { protect, optionalProtect } from '../middleware/auth.js';
+import Coupon from '../models/Coupon.js';
+import Wishlist from '../models/Wishlist.js';
+import { findCouponByCode, applyCartCoupon, calculateDiscount } from '../utils/promotions.js';
+import { cartLines, quote } from '../utils/pricing.js';
+import { availableToSell } from '../utils/stock.js';
+import { reserveCheckout, releaseReservations, reservationMinutes } from '../utils/reservations.js';
+import { cartOwner, generateCartToken, revalidateCart } from '../utils/carts.js';
+import { hashToken } from '../utils/generateToken.js';
 
 const router = express.Router();
 
+const CART_PRODUCT_FIELDS = 'name price images stock variants';
+
+const cartError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const currentUserId = (req) => (req.user ? req.user._id : undefined);
+
+// The cart this request works on: the user's, or the guest cart named by the
+// X-Cart-Token header. With `create`, a missing cart is started and a guest
+// without a token is issued one, returned to the client via res.locals; the
+// new cart is only stored once the caller saves it.
+const loadCart = async (req, res, { create = false } = {}) => {
+  let owner = cartOwner(req);
+  const cart = owner && await Cart.findOne(owner);
+  if (cart || !create) {
+    return cart;
+  }
+
+  if (!owner) {
+    res.locals.cartToken = generateCartToken();
+    owner = { guestToken: hashToken(res.locals.cartToken) };
+  }
+  return new Cart({ ...owner, items: [] });
+};
+
+// Add a product (or one of its variants) to a cart. Availability and stock
+// are checked against the catalog.
+const addCartItem = async (cart, userId, product, variant, quantity) => {
+  const productDoc = await Product.findById(product);
+  if (!productDoc) {
+    throw cartError('Product not found', 404);
+  }
+
+  if (!productDoc.isActive) {
+    throw cartError('Product is not available', 400);
+  }
+
+  // Products sold in options must be added as a specific variant
+  let variantDoc = null;
+  if (productDoc.hasVariants()) {
+    variantDoc = productDoc.findVariant(variant);
+    if (!variantDoc || !variantDoc.isActive) {
+      throw cartError(variant ? 'Variant is not available' : 'Please select a variant', 400);
+    }
+  }
+
+  const stock = await availableToSell(productDoc, variantDoc, userId);
+  if (stock < quantity) {
+    throw cartError('Insufficient stock', 400);
+  }
+
+  // Check if item already exists in cart
+  const itemIndex = cart.items.findIndex(
+    item => item.product.toString() === productDoc._id.toString() &&
+      String(item.variant || '') === String(variantDoc ? variantDoc._id : '')
+  );
+
+  if (itemIndex > -1) {
+    // Update quantity
+    const newQuantity = cart.items[itemIndex].quantity + quantity;
+    if (newQuantity > stock) {
+      throw cartError('Insufficient stock', 400);
+    }
+    cart.items[itemIndex].quantity = newQuantity;
+  } else {
+    // Add new item
+    cart.items.push({
+      product: productDoc._id,
+      variant: variantDoc ? variantDoc._id : undefined,
+      quantity,
+      price: productDoc.priceFor(variantDoc)
+    });
+  }
+
+  return cart;
+};
+
 // @route   GET /api/cart
-// @desc    Get user's cart
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @desc    Get the user's or guest's cart, revalidated against the catalog
+// @access  Public (guests identified by X-Cart-Token)
+router.get('/', optionalProtect, async (req, res) => {
   try {
-    let cart = await Cart.findOne({ user: req.user._id })
-      .populate('items.product', 'name price images stock');
+    // Carts are only stored once something is added, so an empty one is shown
+    // to visitors who have not added anything yet
+    const cart = await loadCart(req, res) || new Cart({ ...cartOwner(req), items: [] });
 
-    if (!cart) {
-      cart = await Cart.create({ user: req.user._id, items: [] });
+    // Refresh prices and stock, and keep the discount in line with current
+    // coupon rules
+    const notices = await revalidateCart(cart, currentUserId(req));
+    if (notices.length > 0 || cart.coupon) {
+      await applyCartCoupon(cart, currentUserId(req));
+      await cart.save();
     }
+    await cart.populate('items.product', CART_PRODUCT_FIELDS);
 
     res.json({
       success: true,
+      cartToken: res.locals.cartToken,
+      notices,
       data: cart
     });
   } catch (error) {
@@ -32,9 +128,10 @@ router.get('/', protect, async (req, res) => {
 
 // @route   POST /api/cart
 // @desc    Add item to cart
-// @access  Private
-router.post('/', protect, [
+// @access  Public (guests identified by X-Cart-Token)
+router.post('/', optionalProtect, [
   body('product').notEmpty().withMessage('Product ID is required'),
+  body('variant').optional().isMongoId().withMessage('Invalid variant ID'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
 ], async (req, res) => {
   try {
@@ -46,69 +143,319 @@ router.post('/', protect, [
       });
     }
 
-    const { product, quantity } = req.body;
+    const { product, variant, quantity } = req.body;
+    const cart = await loadCart(req, res, { create: true });
+    await addCartItem(cart, currentUserId(req), product, variant, quantity);
 
-    // Check if product exists
-    const productDoc = await Product.findById(product);
-    if (!productDoc) {
-      return res.status(404).json({
+    await applyCartCoupon(cart, currentUserId(req));
+    await cart.save();
+    await cart.populate('items.product', CART_PRODUCT_FIELDS);
+
+    res.json({
+      success: true,
+      cartToken: res.locals.cartToken,
+      data: cart
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/cart/coupon
+// @desc    Apply a coupon code to the cart
+// @access  Private
+router.post('/coupon', protect, [
+  body('code').trim().notEmpty().withMessage('Coupon code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Product not found'
+        errors: errors.array()
       });
     }
 
-    if (!productDoc.isActive) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart || cart.items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Product is not available'
+        message: 'Cart is empty'
       });
     }
 
-    if (productDoc.stock < quantity) {
+    const coupon = await findCouponByCode(req.body.code);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    cart.coupon = coupon._id;
+    const reason = await applyCartCoupon(cart, req.user._id);
+    if (reason) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient stock'
+        message: reason
       });
     }
 
-    // Get or create cart
-    let cart = await Cart.findOne({ user: req.user._id });
+    await cart.save();
+    await cart.populate('items.product', CART_PRODUCT_FIELDS);
 
+    res.json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/cart/coupon
+// @desc    Remove the coupon from the cart
+// @access  Private
+router.delete('/coupon', protect, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
     if (!cart) {
-      cart = await Cart.create({ user: req.user._id, items: [] });
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
     }
 
-    // Check if item already exists in cart
-    const itemIndex = cart.items.findIndex(
-      item => item.product.toString() === product
-    );
+    cart.coupon = undefined;
+    cart.discount = 0;
+    await cart.save();
+    await cart.populate('items.product', CART_PRODUCT_FIELDS);
 
-    if (itemIndex > -1) {
-      // Update quantity
-      const newQuantity = cart.items[itemIndex].quantity + quantity;
-      if (newQuantity > productDoc.stock) {
-        return res.status(400).json({
-          success: false,
-          message: 'Insufficient stock'
-        });
-      }
-      cart.items[itemIndex].quantity = newQuantity;
-    } else {
-      // Add new item
-      cart.items.push({
-        product,
-        quantity,
-        price: productDoc.price
+    res.json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/cart/quote
+// @desc    Price the cart for an address: shipping options, tax and total
+// @access  Public (guests identified by X-Cart-Token)
+router.post('/quote', optionalProtect, [
+  body('shippingAddress.country').notEmpty().withMessage('Country is required'),
+  body('shippingMethod').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
       });
     }
 
+    const cart = await loadCart(req, res);
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const couponError = await applyCartCoupon(cart, currentUserId(req));
+    const lines = await cartLines(cart);
+
+    let freeShipping = false;
+    if (cart.coupon && !couponError) {
+      const coupon = await Coupon.findById(cart.coupon);
+      ({ freeShipping } = calculateDiscount(coupon, lines));
+    }
+
+    const pricing = await quote(lines, {
+      address: req.body.shippingAddress,
+      shippingMethod: req.body.shippingMethod,
+      discount: cart.discount,
+      freeShipping
+    });
+
+    res.json({
+      success: true,
+      data: pricing
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/cart/checkout
+// @desc    Begin checkout: hold the cart's stock for a limited time
+// @access  Private
+router.post('/checkout', protect, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const reservations = await reserveCheckout(req.user._id, cart.items);
+
+    res.status(201).json({
+      success: true,
+      expiresAt: reservations.length > 0 ? reservations[0].expiresAt : null,
+      minutes: reservationMinutes(),
+      data: reservations
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/cart/checkout
+// @desc    Abandon checkout and release the held stock
+// @access  Private
+router.delete('/checkout', protect, async (req, res) => {
+  try {
+    await releaseReservations(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Checkout reservation released'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/cart/from-wishlist
+// @desc    Move a wishlist item into the cart
+// @access  Private
+router.post('/from-wishlist', protect, [
+  body('wishlist').isMongoId().withMessage('Wishlist ID is required'),
+  body('item').isMongoId().withMessage('Wishlist item ID is required'),
+  body('variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('quantity').optional().isInt({ min: 1 }).toInt().withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const wishlist = await Wishlist.findOne({ _id: req.body.wishlist, user: req.user._id });
+    const item = wishlist && wishlist.items.id(req.body.item);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist item not found'
+      });
+    }
+
+    // A product saved without a variant needs one chosen on the way to the cart
+    const cart = await loadCart(req, res, { create: true });
+    await addCartItem(
+      cart,
+      req.user._id,
+      item.product,
+      item.variant || req.body.variant,
+      req.body.quantity || 1
+    );
+
+    await applyCartCoupon(cart, req.user._id);
     await cart.save();
-    await cart.populate('items.product', 'name price images stock');
+
+    wishlist.items.pull(item._id);
+    await wishlist.save();
+
+    await cart.populate('items.product', CART_PRODUCT_FIELDS);
 
     res.json({
       success: true,
       data: cart
     });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/cart/:itemId/save-for-later
+// @desc    Move a cart item to a wishlist ("Saved for later" by default)
+// @access  Private
+router.post('/:itemId/save-for-later', protect, [
+  body('wishlist').optional().isMongoId().withMessage('Invalid wishlist ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id });
+    const item = cart && cart.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
+
+    const wishlist = req.body.wishlist
+      ? await Wishlist.findOne({ _id: req.body.wishlist, user: req.user._id })
+      : await Wishlist.savedForLater(req.user._id);
+    if (!wishlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist not found'
+      });
+    }
+
+    const product = await Product.findById(item.product);
+    if (product) {
+      wishlist.addItem(product, product.findVariant(item.variant));
+      await wishlist.save();
+    }
+
+    cart.items.pull(item._id);
+    await applyCartCoupon(cart, req.user._id);
+    await cart.save();
+    await cart.populate('items.product', CART_PRODUCT_FIELDS);
+
+    res.json({
+      success: true,
+      data: cart,
+      wishlist: wishlist._id
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -119,8 +466,8 @@ router.post('/', protect, [
 
 // @route   PUT /api/cart/:itemId
 // @desc    Update cart item quantity
-// @access  Private
-router.put('/:itemId', protect, [
+// @access  Public (guests identified by X-Cart-Token)
+router.put('/:itemId', optionalProtect, [
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
 ], async (req, res) => {
   try {
@@ -132,7 +479,7 @@ router.put('/:itemId', protect, [
       });
     }
 
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await loadCart(req, res);
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -150,7 +497,9 @@ router.put('/:itemId', protect, [
 
     // Check stock
     const product = await Product.findById(item.product);
-    if (product.stock < req.body.quantity) {
+    const variant = product && product.findVariant(item.variant);
+    const stock = product ? await availableToSell(product, variant, currentUserId(req)) : 0;
+    if (stock < req.body.quantity) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient stock'
@@ -158,8 +507,9 @@ router.put('/:itemId', protect, [
     }
 
     item.quantity = req.body.quantity;
+    await applyCartCoupon(cart, currentUserId(req));
     await cart.save();
-    await cart.populate('items.product', 'name price images stock');
+    await cart.populate('items.product', CART_PRODUCT_FIELDS);
 
     res.json({
       success: true,
@@ -175,10 +525,10 @@ router.put('/:itemId', protect, [
 
 // @route   DELETE /api/cart/:itemId
 // @desc    Remove item from cart
-// @access  Private
-router.delete('/:itemId', protect, async (req, res) => {
+// @access  Public (guests identified by X-Cart-Token)
+router.delete('/:itemId', optionalProtect, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await loadCart(req, res);
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -187,8 +537,9 @@ router.delete('/:itemId', protect, async (req, res) => {
     }
 
     cart.items.pull(req.params.itemId);
+    await applyCartCoupon(cart, currentUserId(req));
     await cart.save();
-    await cart.populate('items.product', 'name price images stock');
+    await cart.populate('items.product', CART_PRODUCT_FIELDS);
 
     res.json({
       success: true,
@@ -204,10 +555,10 @@ router.delete('/:itemId', protect, async (req, res) => {
 
 // @route   DELETE /api/cart
 // @desc    Clear cart
-// @access  Private
-router.delete('/', protect, async (req, res) => {
+// @access  Public (guests identified by X-Cart-Token)
+router.delete('/', optionalProtect, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await loadCart(req, res);
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -216,7 +567,11 @@ router.delete('/', protect, async (req, res) => {
     }
 
     cart.items = [];
+    await applyCartCoupon(cart, currentUserId(req));
     await cart.save();
+    if (req.user) {
+      await releaseReservations(req.user._id);
+    }
 
     res.json({
       success: true,
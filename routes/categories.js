@@ -1,20 +1,39 @@
 import express from "express";
-import { body, validationResult } from "express-validator";
+import mongoose from "mongoose";
+import { body, query, validationResult } from "express-validator";
 import Category from "../models/Category.js";
-// import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from "../middleware/auth.js";
+import { paginate } from "../utils/pagination.js";
+import { imageUpload } from "../middleware/upload.js";
+import { saveImage, deleteOwnerImages, imageData } from "../utils/images.js";
 
 const router = express.Router();
 
-// @route   GET /api/categories
-// @desc    Get all categories
+// Look a category up by its numeric categoryId, or by _id for backward
+// compatibility
+const findCategory = async (id) => {
+  if (/^\d+$/.test(id)) {
+    const category = await Category.findOne({ categoryId: parseInt(id) });
+    if (category) {
+      return category;
+    }
+  }
+
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return Category.findById(id);
+};
+
+// @route   GET /api/categories/tree
+// @desc    Get active categories nested under their parents
 // @access  Public
-router.get("/", async (req, res) => {
+router.get("/tree", async (req, res) => {
   try {
-    const categories = await Category.find().sort("name");
+    const categories = await Category.find({ isActive: true });
     res.json({
       success: true,
-      count: categories.length,
-      data: categories,
+      data: Category.buildTree(categories),
     });
   } catch (error) {
     res.status(500).json({
@@ -24,6 +43,59 @@ router.get("/", async (req, res) => {
   }
 });
 
+// @route   GET /api/categories
+// @desc    Get all categories
+// @access  Public
+router.get(
+  "/",
+  [
+    query("parent")
+      .optional()
+      .custom(
+        (value) =>
+          value === "root" ||
+          (typeof value === "string" && /^[0-9a-f]{24}$/i.test(value))
+      )
+      .withMessage("Parent must be a category ID or root"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      // ?parent=root lists top-level categories, ?parent=<id> its children
+      const filter = {};
+      if (req.query.parent) {
+        filter.parent = req.query.parent === "root" ? null : req.query.parent;
+      }
+
+      const { data, meta, links } = await paginate(Category, filter, req, {
+        sortable: ["sortOrder", "name", "createdAt"],
+        defaultSort: "sortOrder,name",
+        defaultLimit: 100,
+      });
+
+      res.json({
+        success: true,
+        count: data.length,
+        data,
+        meta,
+        links,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
 // @route   GET /api/categories/:id
 // @desc    Get single category
 // @access  Public
@@ -40,28 +112,7 @@ router.get("/:id", async (req, res) => {
       });
     }
 
-    let category = null;
-
-    // Try to parse as number first (categoryId)
-    const categoryId = parseInt(id);
-    if (!isNaN(categoryId)) {
-      category = await Category.findOne({ categoryId: categoryId });
-    }
-
-    // If not found by categoryId, try MongoDB _id (for backward compatibility)
-    if (!category) {
-      // Check if it's a valid MongoDB ObjectId format
-      if (id.match(/^[0-9a-fA-F]{24}$/)) {
-        category = await Category.findById(id);
-      } else {
-        // If it's not a valid ObjectId but also not found by categoryId, try _id anyway
-        try {
-          category = await Category.findById(id);
-        } catch (err) {
-          // Invalid ObjectId format, ignore
-        }
-      }
-    }
+    const category = await findCategory(id);
 
     if (!category) {
       return res.status(404).json({
@@ -71,9 +122,18 @@ router.get("/:id", async (req, res) => {
       });
     }
 
+    await category.populate("ancestors", "name slug");
+    const children = await Category.find({ parent: category._id }).sort(
+      "sortOrder name"
+    );
+
     res.json({
       success: true,
-      data: category,
+      data: {
+        ...category.toObject(),
+        breadcrumbs: category.breadcrumbs(),
+        children,
+      },
     });
   } catch (error) {
     console.error("Get category error:", error);
@@ -87,10 +147,19 @@ router.get("/:id", async (req, res) => {
 
 // @route   POST /api/categories
 // @desc    Create new category
-// @access  Private/Admin
+// @access  Private (categories:write)
 router.post(
   "/",
-  [body("name").trim().notEmpty().withMessage("Category name is required")],
+  protect,
+  requirePermission("categories:write"),
+  [
+    body("name").trim().notEmpty().withMessage("Category name is required"),
+    body("parent")
+      .optional({ nullable: true, checkFalsy: true })
+      .isMongoId()
+      .withMessage("Invalid parent category"),
+    body("sortOrder").optional().isInt(),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -101,13 +170,17 @@ router.post(
         });
       }
 
-      const category = await Category.create(req.body);
+      const { ancestors, ...data } = req.body;
+      if (!data.parent) {
+        data.parent = null;
+      }
+      const category = await Category.create(data);
       res.status(201).json({
         success: true,
         data: category,
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message,
       });
@@ -117,145 +190,202 @@ router.post(
 
 // @route   PUT /api/categories/:id
 // @desc    Update category
-// @access  Private/Admin
-router.put("/:id", async (req, res) => {
-  try {
-    const id = req.params.id;
+// @access  Private (categories:write)
+router.put(
+  "/:id",
+  protect,
+  requirePermission("categories:write"),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
 
-    // Validate ID parameter
-    if (!id || id === "undefined" || id === "null" || id.trim() === "") {
-      return res.status(400).json({
+      // Validate ID parameter
+      if (!id || id === "undefined" || id === "null" || id.trim() === "") {
+        return res.status(400).json({
+          success: false,
+          message: "Category ID is required",
+          error: "Invalid or missing category ID",
+        });
+      }
+
+      const category = await findCategory(id);
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: `Category with ID "${id}" not found`,
+          error: "Category does not exist",
+        });
+      }
+
+      // Saved rather than updated in place so moving a category also moves
+      // its subcategories; the ancestor path is always derived from parent
+      const { ancestors, ...updates } = req.body;
+      if (updates.parent === "") {
+        updates.parent = null;
+      }
+      category.set(updates);
+      await category.save();
+
+      res.json({
+        success: true,
+        data: category,
+      });
+    } catch (error) {
+      console.error("Update category error:", error);
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: "Category ID is required",
-        error: "Invalid or missing category ID",
+        message: error.message || "Failed to update category",
+        error: "Internal server error",
       });
     }
+  }
+);
 
-    let category = null;
-
-    // Try to parse as number first (categoryId)
-    const categoryId = parseInt(id);
-    if (!isNaN(categoryId)) {
-      category = await Category.findOneAndUpdate(
-        { categoryId: categoryId },
-        req.body,
-        {
-          new: true,
-          runValidators: true,
-        }
-      );
-    }
+// @route   PUT /api/categories/:id/image
+// @desc    Upload the category image (multipart field "image"), replacing
+//          any image uploaded before
+// @access  Private (categories:write)
+router.put(
+  "/:id/image",
+  protect,
+  requirePermission("categories:write"),
+  imageUpload("image", 1),
+  async (req, res) => {
+    try {
+      const category = await findCategory(req.params.id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: "Category not found",
+        });
+      }
 
-    // If not found by categoryId, try MongoDB _id (for backward compatibility)
-    if (!category) {
-      // Check if it's a valid MongoDB ObjectId format
-      if (id.match(/^[0-9a-fA-F]{24}$/)) {
-        category = await Category.findByIdAndUpdate(id, req.body, {
-          new: true,
-          runValidators: true,
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Image file is required",
         });
-      } else {
-        // If it's not a valid ObjectId but also not found by categoryId, try _id anyway
-        try {
-          category = await Category.findByIdAndUpdate(id, req.body, {
-            new: true,
-            runValidators: true,
-          });
-        } catch (err) {
-          // Invalid ObjectId format, ignore
-        }
       }
-    }
 
-    if (!category) {
-      return res.status(404).json({
+      const image = await saveImage(req.file, {
+        ownerType: "Category",
+        owner: category._id,
+        user: req.user._id,
+      });
+
+      category.image = image.url;
+      await category.save();
+      await deleteOwnerImages("Category", category._id, { except: image._id });
+
+      res.json({
+        success: true,
+        data: category,
+        image: imageData(image),
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: `Category with ID "${id}" not found`,
-        error: "Category does not exist",
+        message: error.message,
       });
     }
-
-    res.json({
-      success: true,
-      data: category,
-    });
-  } catch (error) {
-    console.error("Update category error:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to update category",
-      error: "Internal server error",
-    });
   }
-});
+);
 
-// @route   DELETE /api/categories/:id
-// @desc    Delete category
-// @access  Private/Admin
-router.delete("/:id", async (req, res) => {
-  try {
-    const id = req.params.id;
+// @route   DELETE /api/categories/:id/image
+// @desc    Remove the category image
+// @access  Private (categories:write)
+router.delete(
+  "/:id/image",
+  protect,
+  requirePermission("categories:write"),
+  async (req, res) => {
+    try {
+      const category = await findCategory(req.params.id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: "Category not found",
+        });
+      }
 
-    // Validate ID parameter
-    if (!id || id === "undefined" || id === "null" || id.trim() === "") {
-      return res.status(400).json({
+      await deleteOwnerImages("Category", category._id);
+      category.image = undefined;
+      await category.save();
+
+      res.json({
+        success: true,
+        data: category,
+      });
+    } catch (error) {
+      res.status(500).json({
         success: false,
-        message: "Category ID is required",
-        error: "Invalid or missing category ID",
+        message: error.message,
       });
     }
+  }
+);
 
-    let category = null;
+// @route   DELETE /api/categories/:id
+// @desc    Delete category
+// @access  Private (categories:write)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("categories:write"),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
 
-    // Try to parse as number first (categoryId)
-    const categoryId = parseInt(id);
-    if (!isNaN(categoryId)) {
-      category = await Category.findOne({ categoryId: categoryId });
-    }
+      // Validate ID parameter
+      if (!id || id === "undefined" || id === "null" || id.trim() === "") {
+        return res.status(400).json({
+          success: false,
+          message: "Category ID is required",
+          error: "Invalid or missing category ID",
+        });
+      }
 
-    // If not found by categoryId, try MongoDB _id (for backward compatibility)
-    if (!category) {
-      // Check if it's a valid MongoDB ObjectId format
-      if (id.match(/^[0-9a-fA-F]{24}$/)) {
-        category = await Category.findById(id);
-      } else {
-        // If it's not a valid ObjectId but also not found by categoryId, try _id anyway
-        try {
-          category = await Category.findById(id);
-        } catch (err) {
-          // Invalid ObjectId format, ignore
-        }
+      const category = await findCategory(id);
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: `Category with ID "${id}" not found`,
+          error: "Category does not exist or has already been deleted",
+        });
       }
-    }
 
-    if (!category) {
-      return res.status(404).json({
+      // Subcategories have to be moved or deleted first
+      if (await Category.exists({ parent: category._id })) {
+        return res.status(400).json({
+          success: false,
+          message: "Category has subcategories and cannot be deleted",
+        });
+      }
+
+      // Actually delete the category from database, with its uploaded image
+      await Category.deleteOne({ _id: category._id });
+      await deleteOwnerImages("Category", category._id);
+
+      res.json({
+        success: true,
+        message: "Category deleted successfully",
+        data: {
+          id: category._id,
+          categoryId: category.categoryId,
+          name: category.name,
+        },
+      });
+    } catch (error) {
+      console.error("Delete category error:", error);
+      res.status(500).json({
         success: false,
-        message: `Category with ID "${id}" not found`,
-        error: "Category does not exist or has already been deleted",
+        message: error.message || "Failed to delete category",
+        error: "Internal server error",
       });
     }
-
-    // Actually delete the category from database
-    await Category.deleteOne({ _id: category._id });
-
-    res.json({
-      success: true,
-      message: "Category deleted successfully",
-      data: {
-        id: category._id,
-        categoryId: category.categoryId,
-        name: category.name,
-      },
-    });
-  } catch (error) {
-    console.error("Delete category error:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to delete category",
-      error: "Internal server error",
-    });
   }
-});
+);
 
 export default router;
@@ -0,0 +1,169 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Coupon from '../models/Coupon.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const couponRules = [
+  body('type')
+    .optional()
+    .isIn(['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'])
+    .withMessage('Invalid coupon type'),
+  body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+  body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('Minimum spend must be a positive number'),
+  body('usageLimit').optional().isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+  body('usageLimitPerUser').optional().isInt({ min: 1 }).withMessage('Usage limit per user must be at least 1'),
+  body('startsAt').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endsAt').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('products').optional().isArray().withMessage('Products must be an array'),
+  body('categories').optional().isArray().withMessage('Categories must be an array')
+];
+
+// @route   GET /api/coupons
+// @desc    Get all coupons
+// @access  Private (coupons:read)
+router.get('/', requirePermission('coupons:read'), async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort('-createdAt');
+    res.json({
+      success: true,
+      count: coupons.length,
+      data: coupons
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/coupons/:id
+// @desc    Get single coupon
+// @access  Private (coupons:read)
+router.get('/:id', requirePermission('coupons:read'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('products', 'name')
+      .populate('categories', 'name slug');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Create coupon
+// @access  Private (coupons:write)
+router.post('/', requirePermission('coupons:write'), [
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+  body('type').notEmpty().withMessage('Coupon type is required'),
+  ...couponRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // usedCount is tracked by checkout only
+    const { usedCount, ...couponData } = req.body;
+    const coupon = await Coupon.create(couponData);
+
+    res.status(201).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.code === 11000 ? 400 : 500).json({
+      success: false,
+      message: error.code === 11000 ? 'Coupon code already exists' : error.message
+    });
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update coupon
+// @access  Private (coupons:write)
+router.put('/:id', requirePermission('coupons:write'), couponRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const { usedCount, ...couponData } = req.body;
+    coupon.set(couponData);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.code === 11000 ? 400 : 500).json({
+      success: false,
+      message: error.code === 11000 ? 'Coupon code already exists' : error.message
+    });
+  }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete coupon
+// @access  Private (coupons:write)
+router.delete('/:id', requirePermission('coupons:write'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
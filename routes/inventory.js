@@ -0,0 +1,263 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Product from '../models/Product.js';
+import StockMovement, { ADJUSTMENT_REASONS, STOCK_MOVEMENT_TYPES } from '../models/StockMovement.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { adjustStock, lowStockLines, lowStockThreshold } from '../utils/stock.js';
+import { paginate } from '../utils/pagination.js';
+import { productSnapshot, notifyWishlistWatchers } from '../utils/wishlistAlerts.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const MOVEMENT_POPULATE = [
+  { path: 'product', select: 'name' },
+  { path: 'user', select: 'name email' },
+  { path: 'order', select: 'orderNumber' }
+];
+
+// @route   GET /api/inventory/movements
+// @desc    Get stock movements (filter by product, variant, type, reason, order)
+// @access  Private (inventory:read)
+router.get('/movements', requirePermission('inventory:read'), [
+  query('product').optional().isMongoId().withMessage('Invalid product ID'),
+  query('variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  query('order').optional().isMongoId().withMessage('Invalid order ID'),
+  query('type').optional().isIn(STOCK_MOVEMENT_TYPES).withMessage('Invalid movement type'),
+  query('reason').optional().isIn(ADJUSTMENT_REASONS).withMessage('Invalid reason')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    for (const field of ['product', 'variant', 'type', 'reason', 'order']) {
+      if (req.query[field]) {
+        filter[field] = req.query[field];
+      }
+    }
+
+    const { data, meta, links } = await paginate(StockMovement, filter, req, {
+      sortable: ['createdAt'],
+      defaultLimit: 50,
+      populate: MOVEMENT_POPULATE
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      data,
+      meta,
+      links
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/inventory/products/:productId
+// @desc    Get current stock and stock history of a product
+// @access  Private (inventory:read)
+router.get('/products/:productId', requirePermission('inventory:read'), [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  query('variant').optional().isMongoId().withMessage('Invalid variant ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.productId)
+      .select('name stock lowStockThreshold variants');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const filter = { product: product._id };
+    if (req.query.variant) {
+      filter.variant = req.query.variant;
+    }
+
+    const { data, meta, links } = await paginate(StockMovement, filter, req, {
+      sortable: ['createdAt'],
+      defaultLimit: 50,
+      populate: MOVEMENT_POPULATE
+    });
+
+    res.json({
+      success: true,
+      stock: {
+        product: product._id,
+        name: product.name,
+        stock: product.stock,
+        lowStockThreshold: lowStockThreshold(product),
+        variants: product.variants.map(variant => ({
+          _id: variant._id,
+          sku: variant.sku,
+          stock: variant.stock,
+          isActive: variant.isActive
+        }))
+      },
+      count: data.length,
+      data,
+      meta,
+      links
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/inventory/adjustments
+// @desc    Add or remove stock by hand with a reason code
+// @access  Private (inventory:write)
+router.post('/adjustments', requirePermission('inventory:write'), [
+  body('product').isMongoId().withMessage('Product ID is required'),
+  body('variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('quantity')
+    .isInt()
+    .toInt()
+    .custom(value => value !== 0)
+    .withMessage('Quantity must be a non-zero integer'),
+  body('type')
+    .optional()
+    .isIn(['adjustment', 'restock'])
+    .withMessage('Type must be adjustment or restock'),
+  body('reason').isIn(ADJUSTMENT_REASONS).withMessage('Invalid reason'),
+  body('note').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { product, variant, quantity, type = 'adjustment', reason, note } = req.body;
+    if (type === 'restock' && quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A restock must add stock'
+      });
+    }
+
+    const existing = await Product.findById(product);
+    const before = existing && productSnapshot(existing);
+
+    const updated = await adjustStock({
+      product,
+      variant,
+      quantity,
+      type,
+      reason,
+      note,
+      user: req.user._id
+    });
+    // Let users watching the product know when a restock brings it back
+    notifyWishlistWatchers(before, updated).catch(error => console.error('Wishlist alert error:', error));
+
+    res.status(201).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/inventory/low-stock
+// @desc    Get products and variants at or below their low-stock threshold
+// @access  Private (inventory:read)
+router.get('/low-stock', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const lines = await lowStockLines();
+
+    res.json({
+      success: true,
+      count: lines.length,
+      data: lines
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/inventory/products/:productId/threshold
+// @desc    Set (or clear with null) a product's low-stock threshold
+// @access  Private (inventory:write)
+router.put('/products/:productId/threshold', requirePermission('inventory:write'), [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  body('lowStockThreshold')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Threshold must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findByIdAndUpdate(
+      req.params.productId,
+      req.body.lowStockThreshold == null
+        ? { $unset: { lowStockThreshold: 1 } }
+        : { lowStockThreshold: req.body.lowStockThreshold },
+      { new: true }
+    ).select('name stock lowStockThreshold');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        product: product._id,
+        name: product.name,
+        lowStockThreshold: lowStockThreshold(product)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Notification, { NOTIFICATION_STATUSES } from '../models/Notification.js';
+import User, { NOTIFICATION_PREFERENCES } from '../models/User.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { NOTIFICATION_TYPES } from '../utils/notificationTemplates.js';
+import { resendNotification } from '../utils/notifications.js';
+import { paginate } from '../utils/pagination.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const preferencesOf = (user) => Object.fromEntries(
+  NOTIFICATION_PREFERENCES.map(preference => [preference, user.wantsNotification(preference)])
+);
+
+// @route   GET /api/notifications/preferences
+// @desc    Get the current user's email preferences
+// @access  Private
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    res.json({
+      success: true,
+      data: preferencesOf(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Turn order emails on or off (orderConfirmation, orderShipped, ...)
+// @access  Private
+router.put('/preferences', [
+  body().custom(value => {
+    const unknown = Object.keys(value || {}).filter(key => !NOTIFICATION_PREFERENCES.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown preferences: ${unknown.join(', ')}. Allowed: ${NOTIFICATION_PREFERENCES.join(', ')}`);
+    }
+    return true;
+  }),
+  ...NOTIFICATION_PREFERENCES.map(preference =>
+    body(preference).optional().isBoolean().withMessage(`${preference} must be a boolean`).toBoolean()
+  )
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const update = {};
+    for (const preference of NOTIFICATION_PREFERENCES) {
+      if (req.body[preference] !== undefined) {
+        update[`notificationPreferences.${preference}`] = req.body[preference];
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+      .select('notificationPreferences');
+
+    res.json({
+      success: true,
+      data: preferencesOf(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications
+// @desc    Get the email log (filter by status, type, user, order)
+// @access  Private (notifications:read)
+router.get('/', requirePermission('notifications:read'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!NOTIFICATION_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${NOTIFICATION_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.type) {
+      if (!NOTIFICATION_TYPES.includes(req.query.type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`
+        });
+      }
+      filter.type = req.query.type;
+    }
+    for (const field of ['user', 'order']) {
+      if (req.query[field]) {
+        filter[field] = String(req.query[field]);
+      }
+    }
+
+    const { data, meta, links } = await paginate(Notification, filter, req, {
+      sortable: ['createdAt'],
+      defaultLimit: 50,
+      select: '-text -html',
+      populate: [{ path: 'user', select: 'name email' }]
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      data,
+      meta,
+      links
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/:id
+// @desc    Get a notification with its rendered content
+// @access  Private (notifications:read)
+router.get('/:id', requirePermission('notifications:read'), async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id)
+      .populate('user', 'name email');
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/notifications/:id/resend
+// @desc    Send a notification again now
+// @access  Private (notifications:write)
+router.post('/:id/resend', requirePermission('notifications:write'), async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const result = await resendNotification(notification);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
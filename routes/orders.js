@@ -1,31 +1,75 @@
 import express from "express";
+import mongoose from "mongoose";
 import { body, validationResult } from "express-validator";
-import Order from "../models/Order.js";
-import Product from "../models/Product.js";
+import Order, { ORDER_STATUS_TRANSITIONS } from "../models/Order.js";
 import Cart from "../models/Cart.js";
-// import {  authorize } from '../middleware/auth.js';
+import Coupon from "../models/Coupon.js";
+import { reserveStock, releaseStock, groupItems } from "../utils/stock.js";
+import {
+  findCouponByCode,
+  couponIneligibility,
+  calculateDiscount,
+  redeemCoupon,
+  releaseCoupon,
+} from "../utils/promotions.js";
+import { quote } from "../utils/pricing.js";
+import { changeOrderStatus } from "../utils/orderStatus.js";
+import { paginate } from "../utils/pagination.js";
+import { releaseReservations } from "../utils/reservations.js";
+import {
+  protect,
+  requirePermission,
+  hasPermission,
+} from "../middleware/auth.js";
+import { resolveOrderAddresses } from "../utils/addresses.js";
+import { emitEvent } from "../utils/events.js";
 
 const router = express.Router();
 
+// An address sent in full with an order must be complete
+const addressRules = (field) =>
+  [
+    ["street", "Street address is required"],
+    ["city", "City is required"],
+    ["state", "State is required"],
+    ["zipCode", "Zip code is required"],
+    ["country", "Country is required"],
+  ].map(([name, message]) =>
+    body(`${field}.${name}`)
+      .if(body(field).exists())
+      .notEmpty()
+      .withMessage(message)
+  );
+
+// Every order route requires an authenticated user
+router.use(protect);
+
 // @route   GET /api/orders
-// @desc    Get all orders (user's orders or all orders for admin)
+// @desc    Get all orders (user's orders, or all orders with orders:read)
 // @access  Private
 router.get("/", async (req, res) => {
   try {
-    const filter = req.user.role === "admin" ? {} : { user: req.user._id };
+    const filter = hasPermission(req, "orders:read")
+      ? {}
+      : { user: req.user._id };
 
-    const orders = await Order.find(filter)
-      .populate("user", "name email")
-      .populate("items.product", "name images")
-      .sort("-createdAt");
+    const { data, meta, links } = await paginate(Order, filter, req, {
+      sortable: ["createdAt", "total", "status"],
+      populate: [
+        { path: "user", select: "name email" },
+        { path: "items.product", select: "name images" },
+      ],
+    });
 
     res.json({
       success: true,
-      count: orders.length,
-      data: orders,
+      count: data.length,
+      data,
+      meta,
+      links,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -48,10 +92,10 @@ router.get("/:id", async (req, res) => {
       });
     }
 
-    // Check if user owns the order or is admin
+    // Check if user owns the order or may read all orders
     if (
       order.user._id.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
+      !hasPermission(req, "orders:read")
     ) {
       return res.status(403).json({
         success: false,
@@ -80,18 +124,32 @@ router.post(
     body("items")
       .isArray({ min: 1 })
       .withMessage("Order must have at least one item"),
-    body("shippingAddress.street")
-      .notEmpty()
-      .withMessage("Street address is required"),
-    body("shippingAddress.city").notEmpty().withMessage("City is required"),
-    body("shippingAddress.state").notEmpty().withMessage("State is required"),
-    body("shippingAddress.zipCode")
-      .notEmpty()
-      .withMessage("Zip code is required"),
-    body("shippingAddress.country")
-      .notEmpty()
-      .withMessage("Country is required"),
+    ...addressRules("shippingAddress"),
+    ...addressRules("billingAddress"),
+    body("shippingAddressId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid shipping address ID"),
+    body("billingAddressId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid billing address ID"),
     body("paymentMethod").notEmpty().withMessage("Payment method is required"),
+    body("shippingMethod").optional().isString(),
+    body("items.*.product")
+      .notEmpty()
+      .withMessage("Product ID is required")
+      .bail()
+      .isMongoId()
+      .withMessage("Invalid product ID"),
+    body("items.*.variant")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid variant ID"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage("Quantity must be at least 1"),
   ],
   async (req, res) => {
     try {
@@ -103,65 +161,168 @@ router.post(
         });
       }
 
-      const {
-        items,
-        shippingAddress,
-        paymentMethod,
-        tax,
-        shipping,
-        discount,
-        notes,
-      } = req.body;
-
-      // Validate products and calculate totals
-      const orderItems = [];
-      for (const item of items) {
-        const product = await Product.findById(item.product);
-        if (!product) {
-          return res.status(404).json({
-            success: false,
-            message: `Product ${item.product} not found`,
-          });
-        }
+      const { items, paymentMethod, shippingMethod, couponCode, notes } =
+        req.body;
 
-        if (product.stock < item.quantity) {
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient stock for ${product.name}`,
-          });
-        }
+      // Addresses sent in full, picked from the address book or defaulted
+      let shippingAddress;
+      let billingAddress;
+      try {
+        ({ shippingAddress, billingAddress } = await resolveOrderAddresses(
+          req.user._id,
+          req.body
+        ));
+      } catch (error) {
+        return res.status(error.statusCode || 500).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      // The id is chosen up front so the stock ledger can refer to the order
+      const orderId = new mongoose.Types.ObjectId();
 
-        orderItems.push({
+      // Reserve stock for every line up front; nothing is decremented
+      // unless all lines can be fulfilled
+      let products;
+      try {
+        products = await reserveStock(items, {
+          type: "sale",
+          order: orderId,
+          user: req.user._id,
+        });
+      } catch (error) {
+        return res.status(error.statusCode || 500).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+      const orderItems = items.map((item) => {
+        const product = productMap.get(item.product.toString());
+        const variant = product.findVariant(item.variant);
+        const price = product.priceFor(variant);
+        return {
           product: product._id,
+          variant: variant ? variant._id : undefined,
+          sku: variant ? variant.sku : undefined,
+          options: variant ? variant.options : undefined,
           name: product.name,
           quantity: item.quantity,
-          price: product.price,
-          total: product.price * item.quantity,
+          price,
+          total: price * item.quantity,
+        };
+      });
+
+      const lines = orderItems.map((item, index) => {
+        const product = productMap.get(item.product.toString());
+        return {
+          product: item.product,
+          category: product.category,
+          price: item.price,
+          quantity: item.quantity,
+          weight: product.weightFor(product.findVariant(items[index].variant)),
+        };
+      });
+
+      // Anything failing from here on must give the stock (and coupon) back
+      let redeemedCoupon = null;
+      let order;
+      try {
+        // Use the coupon sent with the order, else the one applied to the cart
+        let coupon = null;
+        if (couponCode) {
+          coupon = await findCouponByCode(couponCode);
+        } else {
+          const cart = await Cart.findOne({ user: req.user._id }).select(
+            "coupon"
+          );
+          coupon = cart && cart.coupon && (await Coupon.findById(cart.coupon));
+        }
+
+        // The discount is always computed here, never taken from the client
+        let discount = 0;
+        let freeShipping = false;
+        if (couponCode || coupon) {
+          const subtotal = orderItems.reduce(
+            (sum, item) => sum + item.total,
+            0
+          );
+          const reason = await couponIneligibility(coupon, {
+            userId: req.user._id,
+            subtotal,
+          });
+          if (reason) {
+            const error = new Error(reason);
+            error.statusCode = 400;
+            throw error;
+          }
+
+          ({ discount, freeShipping } = calculateDiscount(coupon, lines));
+        }
+
+        // Tax and shipping are computed from the address, never the client
+        const pricing = await quote(lines, {
+          address: shippingAddress,
+          shippingMethod,
+          discount,
+          freeShipping,
         });
 
-        // Update product stock
-        product.stock -= item.quantity;
-        await product.save();
-      }
+        if (coupon) {
+          if (!(await redeemCoupon(coupon))) {
+            const error = new Error("Coupon usage limit has been reached");
+            error.statusCode = 400;
+            throw error;
+          }
+          redeemedCoupon = coupon;
+        }
 
-      // Create order
-      const order = await Order.create({
-        user: req.user._id,
-        items: orderItems,
-        shippingAddress,
-        paymentMethod,
-        tax: tax || 0,
-        shipping: shipping || 0,
-        discount: discount || 0,
-        notes,
-      });
+        order = await Order.create({
+          _id: orderId,
+          user: req.user._id,
+          items: orderItems,
+          shippingAddress,
+          billingAddress,
+          paymentMethod,
+          tax: pricing.tax,
+          includedTax: pricing.includedTax,
+          shipping: pricing.shipping,
+          shippingMethod: pricing.shippingMethod,
+          discount,
+          coupon: redeemedCoupon ? redeemedCoupon._id : undefined,
+          couponCode: redeemedCoupon ? redeemedCoupon.code : undefined,
+          notes,
+          statusHistory: [{ status: "pending", changedBy: req.user._id }],
+        });
+      } catch (error) {
+        await releaseStock(groupItems(items), {
+          type: "cancellation",
+          order: orderId,
+          user: req.user._id,
+          note: "Order could not be placed",
+        });
+        if (redeemedCoupon) {
+          await releaseCoupon(redeemedCoupon._id);
+        }
+        if (error.statusCode) {
+          return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+          });
+        }
+        throw error;
+      }
 
-      // Clear user's cart
+      // Clear user's cart; the stock held for checkout is now sold
       await Cart.findOneAndDelete({ user: req.user._id });
+      await releaseReservations(req.user._id);
 
       const populatedOrder = await Order.findById(order._id)
         .populate("items.product", "name images")
         .populate("user", "name email");
+      emitEvent("order.created", { order: populatedOrder });
 
       res.status(201).json({
         success: true,
@@ -178,14 +339,15 @@ router.post(
 
 // @route   PUT /api/orders/:id/status
 // @desc    Update order status
-// @access  Private/Admin
+// @access  Private (orders:update)
 router.put(
   "/:id/status",
-
+  requirePermission("orders:update"),
   [
     body("status")
-      .isIn(["pending", "processing", "shipped", "delivered", "cancelled"])
+      .isIn(Object.keys(ORDER_STATUS_TRANSITIONS))
       .withMessage("Invalid status"),
+    body("reason").optional().isString().trim(),
   ],
   async (req, res) => {
     try {
@@ -205,19 +367,17 @@ router.put(
         });
       }
 
-      order.status = req.body.status;
-      if (req.body.status === "delivered") {
-        order.deliveredAt = new Date();
-        order.paymentStatus = "paid";
-      }
-      await order.save();
+      const updated = await changeOrderStatus(order, req.body.status, {
+        user: req.user._id,
+        reason: req.body.reason,
+      });
 
       res.json({
         success: true,
-        data: order,
+        data: updated,
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message,
       });
@@ -226,7 +386,7 @@ router.put(
 );
 
 // @route   DELETE /api/orders/:id
-// @desc    Cancel order (user) or delete order (admin)
+// @desc    Cancel own order (user) or delete order (orders:delete)
 // @access  Private
 router.delete("/:id", async (req, res) => {
   try {
@@ -238,30 +398,25 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    const canDelete = hasPermission(req, "orders:delete");
+
     // Users can only cancel their own orders
-    if (
-      order.user.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
+    if (order.user.toString() !== req.user._id.toString() && !canDelete) {
       return res.status(403).json({
         success: false,
         message: "Not authorized",
       });
     }
 
-    // If user cancels, restore product stock
-    if (req.user.role !== "admin" && order.status !== "cancelled") {
-      for (const item of order.items) {
-        const product = await Product.findById(item.product);
-        if (product) {
-          product.stock += item.quantity;
-          await product.save();
-        }
-      }
-      order.status = "cancelled";
-      await order.save();
-    } else if (req.user.role === "admin") {
-      // Admin can delete order
+    // Cancelling releases stock, the coupon and any payment; an order being
+    // deleted is cancelled first if it still can be
+    if (!canDelete || order.canTransitionTo("cancelled")) {
+      await changeOrderStatus(order, "cancelled", {
+        user: req.user._id,
+        reason: req.body && req.body.reason,
+      });
+    }
+    if (canDelete) {
       await order.deleteOne();
     }
 
@@ -270,7 +425,7 @@ router.delete("/:id", async (req, res) => {
       message: "Order cancelled/deleted successfully",
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -0,0 +1,335 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Order from '../models/Order.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import { protect, requirePermission, hasPermission } from '../middleware/auth.js';
+import {
+  WEBHOOK_EVENTS,
+  ONLINE_PAYMENT_METHODS,
+  getPaymentProvider,
+  checkPaymentConfig,
+  paymentCurrency,
+  markOrderPaid,
+  markOrderPaymentFailed,
+  applyRefund,
+  refundOrder
+} from '../utils/payments.js';
+
+const router = express.Router();
+
+const isOwner = (order, user) => order.user.toString() === user._id.toString();
+
+// Online payments need a provider and a webhook secret; without them the
+// store still runs and takes offline payment methods only
+const requireOnlinePayments = (req, res, next) => {
+  try {
+    checkPaymentConfig();
+  } catch (error) {
+    return res.status(503).json({
+      success: false,
+      message: `Online payments are not available: ${error.message}`
+    });
+  }
+  next();
+};
+
+// @route   POST /api/payments/webhook
+// @desc    Receive signed payment events from the provider
+// @access  Public (signature verified)
+router.post('/webhook', requireOnlinePayments, async (req, res) => {
+  const provider = getPaymentProvider();
+
+  let event;
+  try {
+    event = provider.verifyWebhook(req.rawBody, req.get(provider.signatureHeader));
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  try {
+    if (!WEBHOOK_EVENTS.includes(event.type) || !event.data) {
+      // Acknowledge events we do not handle so the provider stops retrying
+      return res.json({ success: true, received: true });
+    }
+
+    // Orders given a new intent still accept payments made on an older one
+    let order = await Order.findOne({ 'payment.intentId': event.data.intentId });
+    if (!order) {
+      const intent = await PaymentTransaction.findOne({ type: 'intent', intentId: event.data.intentId });
+      order = intent && await Order.findById(intent.order);
+    }
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'No order for this payment'
+      });
+    }
+
+    // Payment events for a cancelled order must not reopen it
+    if (event.type.startsWith('payment.') && order.status === 'cancelled') {
+      return res.json({ success: true, received: true, ignored: true });
+    }
+
+    // Amounts are compared in cents to avoid floating point differences
+    if (event.type === 'payment.succeeded' &&
+      Math.round(Number(event.data.amount) * 100) !== Math.round(order.total * 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment amount does not match the order total'
+      });
+    }
+
+    // Recording the event first makes redelivered events a no-op
+    try {
+      await PaymentTransaction.create({
+        order: order._id,
+        provider: provider.name,
+        type: 'webhook',
+        intentId: event.data.intentId,
+        reference: event.data.refundId,
+        eventId: event.id,
+        eventType: event.type,
+        amount: event.data.amount,
+        currency: paymentCurrency(),
+        status: event.type === 'payment.failed' ? 'failed' : 'succeeded'
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.json({ success: true, duplicate: true });
+      }
+      throw error;
+    }
+
+    if (event.type === 'payment.succeeded') {
+      await markOrderPaid(order._id);
+    } else if (event.type === 'payment.failed') {
+      await markOrderPaymentFailed(order._id);
+    } else if (event.type === 'refund.succeeded') {
+      // Refunds started through our API are already counted
+      const known = event.data.refundId && await PaymentTransaction.exists({
+        type: 'refund',
+        reference: event.data.refundId,
+        status: { $ne: 'failed' }
+      });
+      if (!known) {
+        await applyRefund(order, Number(event.data.amount) || 0);
+      }
+    }
+
+    res.json({ success: true, received: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.use(protect);
+
+// @route   POST /api/payments/orders/:orderId/intent
+// @desc    Start paying for an order with the payment provider
+// @access  Private (order owner)
+router.post('/orders/:orderId/intent', requireOnlinePayments, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select('+payment.clientSecret');
+    if (!order || !isOwner(order, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Orders paid by ${order.paymentMethod} are not paid online`
+      });
+    }
+
+    if (!['pending', 'failed'].includes(order.paymentStatus) || order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order cannot be paid'
+      });
+    }
+
+    // A pending intent is handed out again rather than replaced, so the
+    // customer cannot end up paying twice
+    if (order.paymentStatus === 'pending' && order.payment && order.payment.clientSecret) {
+      return res.json({
+        success: true,
+        data: {
+          intentId: order.payment.intentId,
+          clientSecret: order.payment.clientSecret,
+          amount: order.total,
+          currency: paymentCurrency()
+        }
+      });
+    }
+
+    const provider = getPaymentProvider();
+    const intent = await provider.createPaymentIntent({
+      amount: order.total,
+      currency: paymentCurrency(),
+      orderId: order._id.toString()
+    });
+
+    await PaymentTransaction.create({
+      order: order._id,
+      provider: provider.name,
+      type: 'intent',
+      intentId: intent.id,
+      amount: order.total,
+      currency: paymentCurrency(),
+      status: 'pending',
+      user: req.user._id
+    });
+
+    order.payment = { provider: provider.name, intentId: intent.id, clientSecret: intent.clientSecret };
+    order.paymentStatus = 'pending';
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        intentId: intent.id,
+        clientSecret: intent.clientSecret,
+        amount: order.total,
+        currency: paymentCurrency()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/orders/:orderId/capture
+// @desc    Capture the authorized payment of an order
+// @access  Private (orders:update)
+router.post('/orders/:orderId/capture', requirePermission('orders:update'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.payment || !order.payment.intentId || order.paymentStatus !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has no pending payment to capture'
+      });
+    }
+
+    const provider = getPaymentProvider();
+    const transaction = {
+      order: order._id,
+      provider: provider.name,
+      type: 'capture',
+      intentId: order.payment.intentId,
+      amount: order.total,
+      currency: paymentCurrency(),
+      user: req.user._id
+    };
+
+    let result;
+    try {
+      result = await provider.capture(order.payment.intentId, order.total);
+    } catch (error) {
+      await PaymentTransaction.create({ ...transaction, status: 'failed', error: error.message });
+      return res.status(502).json({
+        success: false,
+        message: `Capture failed: ${error.message}`
+      });
+    }
+
+    await PaymentTransaction.create({ ...transaction, reference: result.id, status: result.status });
+    const updated = result.status === 'succeeded' ? await markOrderPaid(order._id) : null;
+
+    res.json({
+      success: true,
+      data: updated || order
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/orders/:orderId/refund
+// @desc    Refund part or all of a paid order
+// @access  Private (orders:refund)
+router.post('/orders/:orderId/refund', requirePermission('orders:refund'), [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const updated = await refundOrder(order, { amount: req.body.amount, user: req.user._id });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/orders/:orderId/transactions
+// @desc    Get the payment transaction log of an order
+// @access  Private (order owner or orders:read)
+router.get('/orders/:orderId/transactions', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select('user');
+    if (!order || (!isOwner(order, req.user) && !hasPermission(req, 'orders:read'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const transactions = await PaymentTransaction.find({ order: order._id }).sort('createdAt');
+
+    res.json({
+      success: true,
+      count: transactions.length,
+      data: transactions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
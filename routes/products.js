@@ -1,35 +1,119 @@
 import express from "express";
 import { body, validationResult, query } from "express-validator";
 import Product from "../models/Product.js";
-// import { protect, authorize } from '../middleware/auth.js';
+import Category from "../models/Category.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { productReviewRouter } from "./reviews.js";
+import { tagAndAttributeFilters, productFacets } from "../utils/search.js";
+import { paginate } from "../utils/pagination.js";
+import { adjustStock, recordStockChanges, setStock } from "../utils/stock.js";
+import {
+  productSnapshot,
+  notifyWishlistWatchers,
+} from "../utils/wishlistAlerts.js";
+import {
+  CATALOG_FORMATS,
+  parseCatalog,
+  importProducts,
+  exportProducts,
+} from "../utils/catalog.js";
+import Image from "../models/Image.js";
+import { imageUpload } from "../middleware/upload.js";
+import {
+  saveImage,
+  deleteImages,
+  deleteOwnerImages,
+  imageData,
+} from "../utils/images.js";
 
 const router = express.Router();
 
+const SORTABLE_FIELDS = [
+  "createdAt",
+  "price",
+  "name",
+  "averageRating",
+  "reviewCount",
+];
+
+// Category with its ancestors, for breadcrumbs
+const CATEGORY_POPULATE = {
+  path: "category",
+  select: "name slug description ancestors",
+  populate: { path: "ancestors", select: "name slug" },
+};
+
+const withBreadcrumbs = (product) => ({
+  ...product.toObject(),
+  breadcrumbs: product.category ? product.category.breadcrumbs() : [],
+});
+
+// Wishlist alerts are sent in the background so a slow mailer never holds up
+// a catalog update
+const alertWishlistWatchers = (before, product) => {
+  notifyWishlistWatchers(before, product).catch((error) =>
+    console.error("Wishlist alert error:", error)
+  );
+};
+
+router.use("/:productId/reviews", productReviewRouter);
+
+// Validation shared by variants sent inline with a product or on their own
+const variantRules = (prefix = "") => [
+  body(`${prefix}sku`).trim().notEmpty().withMessage("Variant SKU is required"),
+  body(`${prefix}options`)
+    .optional()
+    .isArray()
+    .withMessage("Variant options must be an array"),
+  body(`${prefix}price`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Variant price must be a positive number"),
+  body(`${prefix}stock`)
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Variant stock must be a positive integer"),
+];
+
 // @route   GET /api/products
-// @desc    Get all products with filtering and pagination
+// @desc    Get all products with filtering, pagination and facet counts
 // @access  Public
 router.get(
   "/",
   [
     query("page").optional().isInt({ min: 1 }),
     query("limit").optional().isInt({ min: 1, max: 100 }),
-    query("category").optional(),
-    query("search").optional(),
+    query("cursor").optional(),
+    query("sort").optional(),
+    query("category").optional().isMongoId().withMessage("Invalid category ID"),
+    query("includeSubcategories").optional().isBoolean(),
+    query("search").optional().isString().withMessage("Search must be text"),
     query("minPrice").optional().isFloat({ min: 0 }),
     query("maxPrice").optional().isFloat({ min: 0 }),
     query("featured").optional().isBoolean(),
+    query("minRating").optional().isFloat({ min: 0, max: 5 }),
+    query("tags").optional(),
+    query("attr").optional().isObject(),
+    query("facets").optional().isBoolean(),
   ],
   async (req, res) => {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const skip = (page - 1) * limit;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
 
       // Build filter
       const filter = { isActive: true };
 
       if (req.query.category) {
-        filter.category = req.query.category;
+        filter.category =
+          req.query.includeSubcategories === "true"
+            ? { $in: await Category.subtreeIds(req.query.category) }
+            : req.query.category;
       }
 
       if (req.query.featured === "true") {
@@ -44,6 +128,15 @@ router.get(
           filter.price.$lte = parseFloat(req.query.maxPrice);
       }
 
+      if (req.query.minRating) {
+        filter.averageRating = { $gte: parseFloat(req.query.minRating) };
+      }
+
+      const tagConditions = tagAndAttributeFilters(req.query);
+      if (tagConditions.length > 0) {
+        filter.$and = tagConditions;
+      }
+
       // Build search query
       let searchQuery = {};
       if (req.query.search) {
@@ -52,23 +145,68 @@ router.get(
 
       const finalFilter = { ...filter, ...searchQuery };
 
-      const products = await Product.find(finalFilter)
-        .populate("category", "name slug")
-        .sort(req.query.sort || "-createdAt")
-        .skip(skip)
-        .limit(limit);
+      const { data, meta, links } = await paginate(Product, finalFilter, req, {
+        sortable: SORTABLE_FIELDS,
+        defaultLimit: 10,
+        populate: CATEGORY_POPULATE,
+      });
 
-      const total = await Product.countDocuments(finalFilter);
+      // Filter sidebar counts for everything matching the current filters
+      const facets =
+        req.query.facets === "false"
+          ? undefined
+          : await productFacets(finalFilter);
 
       res.json({
         success: true,
-        count: products.length,
-        total,
-        page,
-        pages: Math.ceil(total / limit),
-        data: products,
+        count: data.length,
+        data: data.map(withBreadcrumbs),
+        meta,
+        links,
+        facets,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/products/export
+// @desc    Download the whole catalog as CSV or JSON (?format=csv|json)
+// @access  Private (products:write)
+router.get(
+  "/export",
+  protect,
+  requirePermission("products:write"),
+  [
+    query("format")
+      .optional()
+      .isIn(CATALOG_FORMATS)
+      .withMessage("Format must be csv or json"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
       });
+    }
+
+    const format = req.query.format || "csv";
+    try {
+      res.attachment(`products.${format}`);
+      await exportProducts(res, format);
     } catch (error) {
+      // Once rows have been sent the only way to signal failure is to cut
+      // the download short
+      if (res.headersSent) {
+        console.error("Catalog export error:", error);
+        return res.destroy(error);
+      }
       res.status(500).json({
         success: false,
         message: error.message,
@@ -77,14 +215,60 @@ router.get(
   }
 );
 
+// @route   POST /api/products/import
+// @desc    Create or update products by SKU from a CSV or JSON catalog
+// @access  Private (products:write)
+router.post(
+  "/import",
+  protect,
+  requirePermission("products:write"),
+  [
+    query("format")
+      .optional()
+      .isIn(CATALOG_FORMATS)
+      .withMessage("Format must be csv or json"),
+    query("dryRun").optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const format = req.query.format || (req.is("text/csv") ? "csv" : "json");
+      const dryRun = req.query.dryRun === true;
+      const records = parseCatalog(req.body, format);
+      const { summary, rows } = await importProducts(records, {
+        dryRun,
+        user: req.user._id,
+      });
+
+      res.json({
+        success: true,
+        dryRun,
+        summary,
+        data: rows,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
 // @route   GET /api/products/:id
 // @desc    Get single product
 // @access  Public
 router.get("/:id", async (req, res) => {
   try {
     const product = await Product.findById(req.params.id).populate(
-      "category",
-      "name slug description"
+      CATEGORY_POPULATE
     );
 
     if (!product) {
@@ -96,7 +280,7 @@ router.get("/:id", async (req, res) => {
 
     res.json({
       success: true,
-      data: product,
+      data: withBreadcrumbs(product),
     });
   } catch (error) {
     res.status(500).json({
@@ -108,9 +292,11 @@ router.get("/:id", async (req, res) => {
 
 // @route   POST /api/products
 // @desc    Create new product
-// @access  Private/Admin
+// @access  Private (products:write)
 router.post(
   "/",
+  protect,
+  requirePermission("products:write"),
   [
     body("name").trim().notEmpty().withMessage("Product name is required"),
     body("description")
@@ -122,6 +308,16 @@ router.post(
       .withMessage("Price must be a positive number"),
     body("category").notEmpty().withMessage("Category is required"),
     body("stock").optional().isInt({ min: 0 }),
+    body("tags").optional().isArray().withMessage("Tags must be an array"),
+    body("attributes")
+      .optional()
+      .isArray()
+      .withMessage("Attributes must be an array"),
+    body("variants")
+      .optional()
+      .isArray()
+      .withMessage("Variants must be an array"),
+    ...variantRules("variants.*."),
   ],
   async (req, res) => {
     try {
@@ -134,6 +330,11 @@ router.post(
       }
 
       const product = await Product.create(req.body);
+      await recordStockChanges(new Map(), product, {
+        type: "restock",
+        reason: "initial_stock",
+        user: req.user._id,
+      });
 
       res.status(201).json({
         success: true,
@@ -150,54 +351,136 @@ router.post(
 
 // @route   PUT /api/products/:id
 // @desc    Update product
-// @access  Private/Admin
-router.put("/:id", async (req, res) => {
-  try {
-    const product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    }).populate("category", "name slug");
+// @access  Private (products:write)
+router.put(
+  "/:id",
+  protect,
+  requirePermission("products:write"),
+  [
+    body("stock")
+      .optional()
+      .isInt({ min: 0 })
+      .toInt()
+      .withMessage("Stock must be a positive integer"),
+    body("variants")
+      .not()
+      .exists()
+      .withMessage("Variants are changed through /api/products/:id/variants"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
 
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: "Product not found",
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: "Product not found",
+        });
+      }
+
+      // Stock is never saved from the document, which may be out of date by
+      // now; it is set atomically afterwards
+      const { stock, ...fields } = req.body;
+      if (stock !== undefined && product.hasVariants()) {
+        return res.status(400).json({
+          success: false,
+          message: "Stock of a product with variants is set per variant",
+        });
+      }
+
+      const before = productSnapshot(product);
+      product.set(fields);
+      await product.save();
+
+      let updated = product;
+      if (stock !== undefined) {
+        updated = await setStock({
+          product: product._id,
+          stock,
+          reason: "manual_edit",
+          user: req.user._id,
+        });
+      }
+      alertWishlistWatchers(before, updated);
+      await updated.populate("category", "name slug");
+
+      res.json({
+        success: true,
+        data: updated,
       });
+    } catch (error) {
+      res
+        .status(
+          error.statusCode || (error.name === "ValidationError" ? 400 : 500)
+        )
+        .json({
+          success: false,
+          message: error.message,
+        });
     }
-
-    res.json({
-      success: true,
-      data: product,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
   }
-});
+);
 
 // @route   DELETE /api/products/:id
 // @desc    Delete product
-// @access  Private/Admin
-router.delete("/:id", async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id);
+// @access  Private (products:write)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("products:write"),
+  async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id);
 
-    if (!product) {
-      return res.status(404).json({
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: "Product not found",
+        });
+      }
+
+      // Soft delete by setting isActive to false; uploaded images are
+      // removed for good
+      const removed = await deleteOwnerImages("Product", product._id);
+      product.images = product.images.filter((url) => !removed.includes(url));
+      product.isActive = false;
+      await product.save();
+
+      res.json({
+        success: true,
+        message: "Product deleted successfully",
+      });
+    } catch (error) {
+      res.status(500).json({
         success: false,
-        message: "Product not found",
+        message: error.message,
       });
     }
+  }
+);
 
-    // Soft delete by setting isActive to false
-    product.isActive = false;
-    await product.save();
+// @route   GET /api/products/:id/images
+// @desc    Get a product's uploaded images with the URL of each size
+// @access  Public
+router.get("/:id/images", async (req, res) => {
+  try {
+    const images = await Image.find({
+      ownerType: "Product",
+      owner: req.params.id,
+    }).sort("createdAt");
 
     res.json({
       success: true,
-      message: "Product deleted successfully",
+      count: images.length,
+      data: images.map(imageData),
     });
   } catch (error) {
     res.status(500).json({
@@ -207,4 +490,287 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
+// @route   POST /api/products/:id/images
+// @desc    Upload product images (multipart field "images", up to 10)
+// @access  Private (products:write)
+router.post(
+  "/:id/images",
+  protect,
+  requirePermission("products:write"),
+  imageUpload("images"),
+  async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: "Product not found",
+        });
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "At least one image file is required",
+        });
+      }
+
+      // Either every file is stored or none is
+      const images = [];
+      try {
+        for (const file of req.files) {
+          images.push(
+            await saveImage(file, {
+              ownerType: "Product",
+              owner: product._id,
+              user: req.user._id,
+            })
+          );
+        }
+      } catch (error) {
+        await deleteImages(images);
+        throw error;
+      }
+
+      product.images.push(...images.map((image) => image.url));
+      await product.save();
+
+      res.status(201).json({
+        success: true,
+        count: images.length,
+        data: images.map(imageData),
+        images: product.images,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/products/:id/images/:imageId
+// @desc    Delete an uploaded product image and its files
+// @access  Private (products:write)
+router.delete(
+  "/:id/images/:imageId",
+  protect,
+  requirePermission("products:write"),
+  async (req, res) => {
+    try {
+      const image = await Image.findOne({
+        _id: req.params.imageId,
+        ownerType: "Product",
+        owner: req.params.id,
+      });
+      if (!image) {
+        return res.status(404).json({
+          success: false,
+          message: "Image not found",
+        });
+      }
+
+      await deleteImages([image]);
+      const product = await Product.findByIdAndUpdate(
+        req.params.id,
+        { $pull: { images: image.url } },
+        { new: true }
+      );
+
+      res.json({
+        success: true,
+        images: product ? product.images : [],
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/products/:id/variants
+// @desc    Add a variant to a product
+// @access  Private (products:write)
+router.post(
+  "/:id/variants",
+  protect,
+  requirePermission("products:write"),
+  variantRules(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const product = await Product.findById(req.params.id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: "Product not found",
+        });
+      }
+
+      const before = productSnapshot(product);
+      const { sku, options, price, stock, images } = req.body;
+
+      // The product's own stock stops counting once it has variants
+      if (!product.hasVariants()) {
+        await setStock({
+          product: product._id,
+          stock: 0,
+          reason: "manual_edit",
+          user: req.user._id,
+        });
+      }
+
+      // The variant is added empty and stocked atomically, so the product
+      // total is never saved from this (possibly out of date) document
+      const variant = product.variants.create({ sku, options, price, images });
+      product.variants.push(variant);
+      await product.save();
+
+      let updated = product;
+      if (stock) {
+        updated = await adjustStock({
+          product: product._id,
+          variant: variant._id,
+          quantity: Number(stock),
+          reason: "manual_edit",
+          user: req.user._id,
+        });
+      }
+      alertWishlistWatchers(before, updated);
+
+      res.status(201).json({
+        success: true,
+        data: updated,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update a product variant
+// @access  Private (products:write)
+router.put(
+  "/:id/variants/:variantId",
+  protect,
+  requirePermission("products:write"),
+  [
+    body("options")
+      .optional()
+      .isArray()
+      .withMessage("Variant options must be an array"),
+    body("price")
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage("Variant price must be a positive number"),
+    body("stock")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Variant stock must be a positive integer"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const product = await Product.findById(req.params.id);
+      const variant = product && product.findVariant(req.params.variantId);
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: "Variant not found",
+        });
+      }
+
+      const before = productSnapshot(product);
+      const { sku, options, price, stock, images, isActive } = req.body;
+      if (sku !== undefined) variant.sku = sku;
+      if (options !== undefined) variant.options = options;
+      // A null price removes the override
+      if (price !== undefined) variant.price = price;
+      if (images !== undefined) variant.images = images;
+      if (isActive !== undefined) variant.isActive = isActive;
+      await product.save();
+
+      // Stock is set atomically rather than saved from the document, so
+      // concurrent sales are not overwritten
+      let updated = product;
+      if (stock !== undefined) {
+        updated = await setStock({
+          product: product._id,
+          variant: variant._id,
+          stock: Number(stock),
+          reason: "manual_edit",
+          user: req.user._id,
+        });
+      }
+      alertWishlistWatchers(before, updated);
+
+      res.json({
+        success: true,
+        data: updated,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/products/:id/variants/:variantId
+// @desc    Deactivate a product variant
+// @access  Private (products:write)
+router.delete(
+  "/:id/variants/:variantId",
+  protect,
+  requirePermission("products:write"),
+  async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id);
+      const variant = product && product.findVariant(req.params.variantId);
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: "Variant not found",
+        });
+      }
+
+      // Soft delete so carts and past orders keep a valid reference
+      variant.isActive = false;
+      await product.save();
+
+      res.json({
+        success: true,
+        message: "Variant deleted successfully",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,181 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import ReturnRequest, { RETURN_REASONS, RETURN_STATUS_TRANSITIONS } from '../models/ReturnRequest.js';
+import Order from '../models/Order.js';
+import { protect, hasPermission } from '../middleware/auth.js';
+import { openReturnRequest, changeReturnStatus } from '../utils/returns.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const isOwner = (rma, user) => rma.user.toString() === user._id.toString();
+
+// @route   GET /api/returns
+// @desc    Get return requests (own, or all with returns:read)
+// @access  Private
+router.get('/', [
+  query('status').optional().isIn(Object.keys(RETURN_STATUS_TRANSITIONS)).withMessage('Invalid status'),
+  query('order').optional().isMongoId().withMessage('Invalid order ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = hasPermission(req, 'returns:read') ? {} : { user: req.user._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.order) {
+      filter.order = req.query.order;
+    }
+
+    const returns = await ReturnRequest.find(filter)
+      .populate('order', 'orderNumber')
+      .populate('user', 'name email')
+      .sort('-createdAt');
+
+    res.json({
+      success: true,
+      count: returns.length,
+      data: returns
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/returns/:id
+// @desc    Get single return request
+// @access  Private (owner or returns:read)
+router.get('/:id', async (req, res) => {
+  try {
+    const rma = await ReturnRequest.findById(req.params.id)
+      .populate('order', 'orderNumber status paymentStatus')
+      .populate('user', 'name email');
+
+    if (!rma || (rma.user._id.toString() !== req.user._id.toString() && !hasPermission(req, 'returns:read'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rma
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/returns
+// @desc    Open a return request for lines of a delivered order
+// @access  Private (order owner)
+router.post('/', [
+  body('order').isMongoId().withMessage('Order ID is required'),
+  body('items').isArray({ min: 1 }).withMessage('Return must have at least one item'),
+  body('items.*.orderItem').isMongoId().withMessage('Order line ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).toInt().withMessage('Quantity must be at least 1'),
+  body('items.*.reason').isIn(RETURN_REASONS).withMessage('Invalid return reason'),
+  body('items.*.comment').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.body.order);
+    if (!order || order.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const rma = await openReturnRequest(order, req.body.items, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: rma
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/returns/:id/status
+// @desc    Approve, reject, receive, refund or cancel a return
+// @access  Private (owner may cancel; returns:write, plus orders:refund to refund)
+router.put('/:id/status', [
+  body('status').isIn(Object.keys(RETURN_STATUS_TRANSITIONS)).withMessage('Invalid status'),
+  body('reason').optional().isString().trim(),
+  body('restock').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const rma = await ReturnRequest.findById(req.params.id);
+    const canManage = hasPermission(req, 'returns:write');
+    if (!rma || (!isOwner(rma, req.user) && !canManage)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    const { status, reason, restock } = req.body;
+    const allowed = canManage
+      ? status !== 'refunded' || hasPermission(req, 'orders:refund')
+      : status === 'cancelled';
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to mark this return as ${status}`
+      });
+    }
+
+    const updated = await changeReturnStatus(rma, status, {
+      user: req.user._id,
+      reason,
+      restock
+    });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
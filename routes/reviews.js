@@ -0,0 +1,342 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Review from '../models/Review.js';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import { protect, requirePermission, hasPermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Mounted under /api/products/:productId/reviews
+export const productReviewRouter = express.Router({ mergeParams: true });
+
+const reviewRules = [
+  body('rating').optional().isInt({ min: 1, max: 5 }).toInt().withMessage('Rating must be between 1 and 5'),
+  body('title').optional().isString().trim(),
+  body('comment').optional().isString().trim()
+];
+
+// The user has received this product in a delivered order
+const hasPurchased = async (userId, productId) => {
+  return Boolean(await Order.exists({
+    user: userId,
+    status: 'delivered',
+    'items.product': productId
+  }));
+};
+
+// @route   GET /api/products/:productId/reviews
+// @desc    Get approved reviews of a product
+// @access  Public
+productReviewRouter.get('/', [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('rating').optional().isInt({ min: 1, max: 5 }),
+  query('verified').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const filter = { product: req.params.productId, status: 'approved' };
+    if (req.query.rating) {
+      filter.rating = parseInt(req.query.rating);
+    }
+    if (req.query.verified === 'true') {
+      filter.isVerifiedPurchase = true;
+    }
+
+    const reviews = await Review.find(filter)
+      .select('-reports')
+      .populate('user', 'name')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Review.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: reviews
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/products/:productId/reviews
+// @desc    Review a product
+// @access  Private
+productReviewRouter.post('/', protect, [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  body('rating').notEmpty().withMessage('Rating is required'),
+  ...reviewRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const alreadyReviewed = await Review.exists({ product: product._id, user: req.user._id });
+    if (alreadyReviewed) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    const { rating, title, comment } = req.body;
+    const review = await Review.create({
+      product: product._id,
+      user: req.user._id,
+      rating,
+      title,
+      comment,
+      isVerifiedPurchase: await hasPurchased(req.user._id, product._id)
+    });
+
+    await Review.updateProductRating(product._id);
+
+    res.status(201).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.use(protect);
+
+// @route   GET /api/reviews
+// @desc    Get reviews for moderation (filter by status, product, reported)
+// @access  Private (reviews:moderate)
+router.get('/', requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.product) {
+      filter.product = req.query.product;
+    }
+    if (req.query.reported === 'true') {
+      filter.reportCount = { $gt: 0 };
+    }
+
+    const reviews = await Review.find(filter)
+      .populate('product', 'name')
+      .populate('user', 'name email')
+      .sort('-reportCount -createdAt');
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      data: reviews
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit own review
+// @access  Private (author)
+router.put('/:id', reviewRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review || review.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const { rating, title, comment } = req.body;
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (comment !== undefined) review.comment = comment;
+    review.isVerifiedPurchase = await hasPurchased(req.user._id, review.product);
+    await review.save();
+
+    await Review.updateProductRating(review.product);
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete a review
+// @access  Private (author or reviews:moderate)
+router.delete('/:id', async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (
+      !review ||
+      (review.user.toString() !== req.user._id.toString() && !hasPermission(req, 'reviews:moderate'))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await review.deleteOne();
+    await Review.updateProductRating(review.product);
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/reviews/:id/report
+// @desc    Report a review to moderators
+// @access  Private
+router.post('/:id/report', [
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Each user can report a review once
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.id, status: 'approved', 'reports.user': { $ne: req.user._id } },
+      {
+        $push: { reports: { user: req.user._id, reason: req.body.reason } },
+        $inc: { reportCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!review) {
+      const exists = await Review.exists({ _id: req.params.id, status: 'approved' });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'You have already reported this review' : 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review reported successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id/moderate
+// @desc    Approve, hide or hold a review for moderation
+// @access  Private (reviews:moderate)
+router.put('/:id/moderate', requirePermission('reviews:moderate'), [
+  body('status').isIn(['pending', 'approved', 'hidden']).withMessage('Invalid status'),
+  body('note').optional().isString().trim(),
+  body('clearReports').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.status = req.body.status;
+    review.moderatedBy = req.user._id;
+    review.moderationNote = req.body.note;
+    if (req.body.clearReports) {
+      review.reports = [];
+      review.reportCount = 0;
+    }
+    await review.save();
+
+    await Review.updateProductRating(review.product);
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,180 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// @route   GET /api/roles
+// @desc    Get all roles and the permissions that can be granted
+// @access  Private (roles:read)
+router.get('/', requirePermission('roles:read'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort('name');
+    res.json({
+      success: true,
+      count: roles.length,
+      permissions: PERMISSIONS,
+      data: roles
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/roles/:id
+// @desc    Get single role
+// @access  Private (roles:read)
+router.get('/:id', requirePermission('roles:read'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create role
+// @access  Private (roles:write)
+router.post('/', requirePermission('roles:write'), [
+  body('name').trim().notEmpty().withMessage('Role name is required'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    const roleExists = await Role.exists({ name: name.toLowerCase() });
+    if (roleExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role already exists'
+      });
+    }
+
+    const role = await Role.create({ name, description, permissions });
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/roles/:id
+// @desc    Update role description or permissions
+// @access  Private (roles:write)
+router.put('/:id', requirePermission('roles:write'), [
+  body('permissions').optional().isArray().withMessage('Permissions must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Renaming would orphan users holding the role, so only these change
+    const { description, permissions } = req.body;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    await role.save();
+
+    res.json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete a custom role that no user holds
+// @access  Private (roles:write)
+router.delete('/:id', requirePermission('roles:write'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be deleted'
+      });
+    }
+
+    const inUse = await User.exists({ role: role.name });
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is assigned to users and cannot be deleted'
+      });
+    }
+
+    await role.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
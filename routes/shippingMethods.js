@@ -0,0 +1,132 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import ShippingMethod from '../models/ShippingMethod.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const shippingMethodRules = [
+  body('type')
+    .optional()
+    .isIn(['flat', 'weight_based', 'free_over_threshold'])
+    .withMessage('Invalid shipping method type'),
+  body('rate').optional().isFloat({ min: 0 }).withMessage('Rate must be a positive number'),
+  body('ratePerKg').optional().isFloat({ min: 0 }).withMessage('Rate per kg must be a positive number'),
+  body('freeOver').optional().isFloat({ min: 0 }).withMessage('Threshold must be a positive number'),
+  body('zones').optional().isArray().withMessage('Zones must be an array')
+];
+
+// @route   GET /api/shipping-methods
+// @desc    Get active shipping methods
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const shippingMethods = await ShippingMethod.find({ isActive: true }).sort('rate');
+    res.json({
+      success: true,
+      count: shippingMethods.length,
+      data: shippingMethods
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/shipping-methods
+// @desc    Create shipping method
+// @access  Private (shipping:write)
+router.post('/', protect, requirePermission('shipping:write'), [
+  body('code').trim().notEmpty().withMessage('Shipping method code is required'),
+  body('name').trim().notEmpty().withMessage('Shipping method name is required'),
+  body('type').notEmpty().withMessage('Shipping method type is required'),
+  ...shippingMethodRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const shippingMethod = await ShippingMethod.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: shippingMethod
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.code === 11000 ? 400 : 500).json({
+      success: false,
+      message: error.code === 11000 ? 'Shipping method code already exists' : error.message
+    });
+  }
+});
+
+// @route   PUT /api/shipping-methods/:id
+// @desc    Update shipping method
+// @access  Private (shipping:write)
+router.put('/:id', protect, requirePermission('shipping:write'), shippingMethodRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const shippingMethod = await ShippingMethod.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!shippingMethod) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping method not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: shippingMethod
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.code === 11000 ? 400 : 500).json({
+      success: false,
+      message: error.code === 11000 ? 'Shipping method code already exists' : error.message
+    });
+  }
+});
+
+// @route   DELETE /api/shipping-methods/:id
+// @desc    Delete shipping method
+// @access  Private (shipping:write)
+router.delete('/:id', protect, requirePermission('shipping:write'), async (req, res) => {
+  try {
+    const shippingMethod = await ShippingMethod.findByIdAndDelete(req.params.id);
+    if (!shippingMethod) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping method not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping method deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
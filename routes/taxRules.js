@@ -0,0 +1,131 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import TaxRule from '../models/TaxRule.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const taxRuleRules = [
+  body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('category').optional({ nullable: true }).isMongoId().withMessage('Invalid category ID'),
+  body('priceIncludesTax').optional().isBoolean()
+];
+
+// @route   GET /api/tax-rules
+// @desc    Get all tax rules
+// @access  Private (taxes:read)
+router.get('/', requirePermission('taxes:read'), async (req, res) => {
+  try {
+    const taxRules = await TaxRule.find()
+      .populate('category', 'name slug')
+      .sort('country state');
+    res.json({
+      success: true,
+      count: taxRules.length,
+      data: taxRules
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/tax-rules
+// @desc    Create tax rule
+// @access  Private (taxes:write)
+router.post('/', requirePermission('taxes:write'), [
+  body('name').trim().notEmpty().withMessage('Tax rule name is required'),
+  body('country').trim().notEmpty().withMessage('Country is required'),
+  body('rate').notEmpty().withMessage('Tax rate is required'),
+  ...taxRuleRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const taxRule = await TaxRule.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: taxRule
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/tax-rules/:id
+// @desc    Update tax rule
+// @access  Private (taxes:write)
+router.put('/:id', requirePermission('taxes:write'), taxRuleRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const taxRule = await TaxRule.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: taxRule
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/tax-rules/:id
+// @desc    Delete tax rule
+// @access  Private (taxes:write)
+router.delete('/:id', requirePermission('taxes:write'), async (req, res) => {
+  try {
+    const taxRule = await TaxRule.findByIdAndDelete(req.params.id);
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rule deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
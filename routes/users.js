@@ -1,23 +1,37 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
-import { protect, authorize } from '../middleware/auth.js';
+import Role from '../models/Role.js';
+import Session from '../models/Session.js';
+import UserToken from '../models/UserToken.js';
+import { protect, requirePermission, hasPermission } from '../middleware/auth.js';
+import { paginate } from '../utils/pagination.js';
+import { sendVerificationEmail } from '../utils/authEmails.js';
 
 const router = express.Router();
 
+// Fields users can change on their own profile through PUT /api/users/:id
+const PROFILE_FIELDS = ['name', 'email', 'phone', 'address'];
+
 // @route   GET /api/users
-// @desc    Get all users (Admin only)
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @desc    Get all users
+// @access  Private (users:read)
+router.get('/', protect, requirePermission('users:read'), async (req, res) => {
   try {
-    const users = await User.find().select('-password').sort('-createdAt');
+    const { data, meta, links } = await paginate(User, {}, req, {
+      sortable: ['createdAt', 'name', 'email'],
+      select: '-password'
+    });
+
     res.json({
       success: true,
-      count: users.length,
-      data: users
+      count: data.length,
+      data,
+      meta,
+      links
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -29,8 +43,8 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 // @access  Private
 router.get('/:id', protect, async (req, res) => {
   try {
-    // Users can only view their own profile unless admin
-    if (req.params.id !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Users can only view their own profile unless they may read all users
+    if (req.params.id !== req.user._id.toString() && !hasPermission(req, 'users:read')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -62,28 +76,85 @@ router.get('/:id', protect, async (req, res) => {
 // @access  Private
 router.put('/:id', protect, async (req, res) => {
   try {
-    // Users can only update their own profile unless admin
-    if (req.params.id !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Users can only update their own profile unless they may edit all users
+    if (req.params.id !== req.user._id.toString() && !hasPermission(req, 'users:write')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
       });
     }
 
-    // Don't allow password update through this route
-    const { password, role, ...updateData } = req.body;
-
-    // Only admin can update role
-    if (role && req.user.role !== 'admin') {
-      return res.status(403).json({
+    const existing = await User.findById(req.params.id).select('email');
+    if (!existing) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized to update role'
+        message: 'User not found'
       });
     }
 
+    // Only profile fields change here; passwords, email verification, the
+    // address book and email preferences have their own routes
+    const updateData = {};
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    }
+    const { role, isActive } = req.body;
+
+    // Only users holding users:manage can activate or deactivate accounts;
+    // users close their own account with DELETE /api/users/:id
+    if (isActive !== undefined) {
+      if (!hasPermission(req, 'users:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to change account status'
+        });
+      }
+      updateData.isActive = isActive;
+    }
+
+    // Only users holding roles:assign can change a role
+    if (role) {
+      if (!hasPermission(req, 'roles:assign')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to update role'
+        });
+      }
+
+      const roleExists = await Role.exists({ name: role.toLowerCase() });
+      if (!roleExists) {
+        return res.status(400).json({
+          success: false,
+          message: `Role '${role}' does not exist`
+        });
+      }
+      updateData.role = role;
+    }
+
+    // A new email address has to be verified again
+    const update = { $set: updateData };
+    const emailChanged = updateData.email !== undefined &&
+      String(updateData.email).trim().toLowerCase() !== existing.email;
+    if (emailChanged) {
+      const emailTaken = await User.exists({
+        email: String(updateData.email).trim().toLowerCase(),
+        _id: { $ne: existing._id }
+      });
+      if (emailTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is already in use'
+        });
+      }
+      updateData.isEmailVerified = false;
+      update.$unset = { emailVerifiedAt: 1 };
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      updateData,
+      update,
       { new: true, runValidators: true }
     ).select('-password');
 
@@ -94,12 +165,27 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
+    // A failed email should not fail the update; it can be resent
+    if (emailChanged) {
+      try {
+        const verificationToken = await UserToken.issue(user._id, 'email_verification');
+        await sendVerificationEmail(user, verificationToken);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    // A deactivated account must not keep any session alive
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id);
+    }
+
     res.json({
       success: true,
       data: user
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: error.message
     });
@@ -107,7 +193,7 @@ router.put('/:id', protect, async (req, res) => {
 });
 
 // @route   DELETE /api/users/:id
-// @desc    Delete user (Admin only) or deactivate own account
+// @desc    Delete user (users:delete) or deactivate own account
 // @access  Private
 router.delete('/:id', protect, async (req, res) => {
   try {
@@ -120,16 +206,18 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    // Users can deactivate their own account, admin can delete
+    // Users can deactivate their own account, users:delete can delete others
     if (req.params.id === req.user._id.toString()) {
       user.isActive = false;
       await user.save();
+      await Session.revokeAllForUser(user._id);
       res.json({
         success: true,
         message: 'Account deactivated successfully'
       });
-    } else if (req.user.role === 'admin') {
+    } else if (hasPermission(req, 'users:delete')) {
       await user.deleteOne();
+      await Session.deleteMany({ user: user._id });
       res.json({
         success: true,
         message: 'User deleted successfully'
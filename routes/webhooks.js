@@ -0,0 +1,335 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Webhook, { generateWebhookSecret } from '../models/Webhook.js';
+import WebhookDelivery, { DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { EVENT_TYPES } from '../utils/events.js';
+import { redeliver, sendTestEvent } from '../utils/webhooks.js';
+import { paginate } from '../utils/pagination.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const webhookRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('Webhook URL must be an http(s) URL'),
+    field('events').isArray({ min: 1 }).withMessage('Subscribe to at least one event'),
+    body('events.*').isIn([...EVENT_TYPES, '*']).withMessage(`Events must be '*' or one of: ${EVENT_TYPES.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// @route   GET /api/webhooks/events
+// @desc    Get the event types webhooks can subscribe to
+// @access  Private (webhooks:read)
+router.get('/events', requirePermission('webhooks:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: EVENT_TYPES
+  });
+});
+
+// @route   GET /api/webhooks/deliveries/:deliveryId
+// @desc    Get a delivery with its payload and every attempt
+// @access  Private (webhooks:read)
+router.get('/deliveries/:deliveryId', requirePermission('webhooks:read'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+      .populate('webhook', 'url description');
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+// @desc    Send a delivery again now with the same payload
+// @access  Private (webhooks:write)
+router.post('/deliveries/:deliveryId/redeliver', requirePermission('webhooks:write'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const result = await redeliver(delivery);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/webhooks
+// @desc    Get all webhooks
+// @access  Private (webhooks:read)
+router.get('/', requirePermission('webhooks:read'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort('-createdAt');
+    res.json({
+      success: true,
+      count: webhooks.length,
+      data: webhooks
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/webhooks/:id
+// @desc    Get single webhook
+// @access  Private (webhooks:read)
+router.get('/:id', requirePermission('webhooks:read'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Create webhook; the signing secret is only returned here and on rotation
+// @access  Private (webhooks:write)
+router.post('/', requirePermission('webhooks:write'), webhookRules(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { url, description, events, isActive } = req.body;
+    const webhook = await Webhook.create({
+      url,
+      description,
+      events,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update webhook URL, description, events or isActive
+// @access  Private (webhooks:write)
+router.put('/:id', requirePermission('webhooks:write'), webhookRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    for (const field of ['url', 'description', 'events', 'isActive']) {
+      if (req.body[field] !== undefined) webhook[field] = req.body[field];
+    }
+    await webhook.save();
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete webhook and its delivery log
+// @access  Private (webhooks:write)
+router.delete('/:id', requirePermission('webhooks:write'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Replace the signing secret; deliveries are signed with the new one from now on
+// @access  Private (webhooks:write)
+router.post('/:id/rotate-secret', requirePermission('webhooks:write'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    webhook.secret = generateWebhookSecret();
+    await webhook.save();
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a webhook.test event and return the delivery result
+// @access  Private (webhooks:write)
+router.post('/:id/test', requirePermission('webhooks:write'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const delivery = await sendTestEvent(webhook);
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get a webhook's delivery log (filter by status, eventType)
+// @access  Private (webhooks:read)
+router.get('/:id/deliveries', requirePermission('webhooks:read'), async (req, res) => {
+  try {
+    const webhook = await Webhook.exists({ _id: req.params.id });
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const filter = { webhook: req.params.id };
+    if (req.query.status) {
+      if (!DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.eventType) {
+      filter.eventType = String(req.query.eventType);
+    }
+
+    const { data, meta, links } = await paginate(WebhookDelivery, filter, req, {
+      sortable: ['createdAt'],
+      defaultLimit: 50,
+      select: '-payload -attemptLog'
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      data,
+      meta,
+      links
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,301 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Wishlist from '../models/Wishlist.js';
+import Product from '../models/Product.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const WISHLIST_PRODUCT_FIELDS = 'name price images stock variants isActive averageRating';
+
+const wishlistRules = [
+  body('name').optional().trim().notEmpty().withMessage('Wishlist name cannot be empty'),
+  body('isShared').optional().isBoolean().toBoolean(),
+  body('notifications').optional().isBoolean().toBoolean()
+];
+
+// @route   GET /api/wishlists/shared/:token
+// @desc    View a wishlist shared by link
+// @access  Public
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ shareToken: req.params.token, isShared: true })
+      .select('name items user updatedAt')
+      .populate('user', 'name')
+      .populate('items.product', WISHLIST_PRODUCT_FIELDS);
+
+    if (!wishlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: wishlist
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.use(protect);
+
+// @route   GET /api/wishlists
+// @desc    Get user's wishlists
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const wishlists = await Wishlist.find({ user: req.user._id })
+      .populate('items.product', WISHLIST_PRODUCT_FIELDS)
+      .sort('createdAt');
+
+    res.json({
+      success: true,
+      count: wishlists.length,
+      data: wishlists
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/wishlists
+// @desc    Create a wishlist
+// @access  Private
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Wishlist name is required'),
+  ...wishlistRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, isShared, notifications } = req.body;
+    if (await Wishlist.exists({ user: req.user._id, name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a wishlist with this name'
+      });
+    }
+
+    const wishlist = await Wishlist.create({
+      user: req.user._id,
+      name,
+      isShared,
+      notifications
+    });
+
+    res.status(201).json({
+      success: true,
+      data: wishlist
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/wishlists/:id
+// @desc    Get a single wishlist
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ _id: req.params.id, user: req.user._id })
+      .populate('items.product', WISHLIST_PRODUCT_FIELDS);
+
+    if (!wishlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: wishlist
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/wishlists/:id
+// @desc    Rename, share/unshare or toggle notifications of a wishlist
+// @access  Private
+router.put('/:id', wishlistRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const wishlist = await Wishlist.findOne({ _id: req.params.id, user: req.user._id });
+    if (!wishlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist not found'
+      });
+    }
+
+    const { name, isShared, notifications } = req.body;
+    if (name !== undefined && name !== wishlist.name) {
+      if (await Wishlist.exists({ user: req.user._id, name })) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already have a wishlist with this name'
+        });
+      }
+      wishlist.name = name;
+    }
+    if (isShared !== undefined) wishlist.isShared = isShared;
+    if (notifications !== undefined) wishlist.notifications = notifications;
+    await wishlist.save();
+
+    res.json({
+      success: true,
+      data: wishlist
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/wishlists/:id
+// @desc    Delete a wishlist
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!wishlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Wishlist deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/wishlists/:id/items
+// @desc    Add a product to a wishlist
+// @access  Private
+router.post('/:id/items', [
+  body('product').isMongoId().withMessage('Product ID is required'),
+  body('variant').optional().isMongoId().withMessage('Invalid variant ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const wishlist = await Wishlist.findOne({ _id: req.params.id, user: req.user._id });
+    if (!wishlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist not found'
+      });
+    }
+
+    const product = await Product.findById(req.body.product);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Unlike the cart, a variant is optional: users may save the product itself
+    let variant = null;
+    if (req.body.variant) {
+      variant = product.findVariant(req.body.variant);
+      if (!variant || !variant.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Variant is not available'
+        });
+      }
+    }
+
+    wishlist.addItem(product, variant);
+    await wishlist.save();
+    await wishlist.populate('items.product', WISHLIST_PRODUCT_FIELDS);
+
+    res.json({
+      success: true,
+      data: wishlist
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/wishlists/:id/items/:itemId
+// @desc    Remove a product from a wishlist
+// @access  Private
+router.delete('/:id/items/:itemId', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ _id: req.params.id, user: req.user._id });
+    if (!wishlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist not found'
+      });
+    }
+
+    wishlist.items.pull(req.params.itemId);
+    await wishlist.save();
+    await wishlist.populate('items.product', WISHLIST_PRODUCT_FIELDS);
+
+    res.json({
+      success: true,
+      data: wishlist
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
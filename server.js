@@ -11,6 +11,25 @@ import orderRoutes from "./routes/orders.js";
 import categoryRoutes from "./routes/categories.js";
 import cartRoutes from "./routes/cart.js";
 import userRoutes from "./routes/users.js";
+import roleRoutes from "./routes/roles.js";
+import couponRoutes from "./routes/coupons.js";
+import taxRuleRoutes from "./routes/taxRules.js";
+import shippingMethodRoutes from "./routes/shippingMethods.js";
+import paymentRoutes from "./routes/payments.js";
+import returnRoutes from "./routes/returns.js";
+import reviewRoutes from "./routes/reviews.js";
+import wishlistRoutes from "./routes/wishlists.js";
+import inventoryRoutes from "./routes/inventory.js";
+import addressRoutes from "./routes/addresses.js";
+import analyticsRoutes from "./routes/analytics.js";
+import webhookRoutes from "./routes/webhooks.js";
+import notificationRoutes from "./routes/notifications.js";
+import Role from "./models/Role.js";
+import Category from "./models/Category.js";
+import Cart from "./models/Cart.js";
+import { uploadDir } from "./utils/storage.js";
+import { startWebhookDelivery } from "./utils/webhooks.js";
+import { startNotifications } from "./utils/notifications.js";
 
 // Load environment variables
 dotenv.config();
@@ -25,7 +44,22 @@ app.use(
     credentials: true,
   })
 );
-app.use(express.json());
+// Catalog imports can be large; the route parses them from text
+app.use(
+  "/api/products/import",
+  express.text({
+    type: ["text/csv", "application/json"],
+    limit: process.env.IMPORT_MAX_SIZE || "20mb",
+  })
+);
+app.use(
+  express.json({
+    // Keep the raw body so payment webhooks can verify their signature
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString();
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Health check route
@@ -37,6 +71,14 @@ app.get("/api/health", (req, res) => {
   });
 });
 
+// Uploaded images, when they are kept on local disk
+if ((process.env.STORAGE_DRIVER || "local") === "local") {
+  app.use(
+    "/uploads",
+    express.static(uploadDir(), { maxAge: "1y", immutable: true })
+  );
+}
+
 // API Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/products", productRoutes);
@@ -44,6 +86,19 @@ app.use("/api/orders", orderRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/cart", cartRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/tax-rules", taxRuleRoutes);
+app.use("/api/shipping-methods", shippingMethodRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/reviews", reviewRoutes);
+app.use("/api/wishlists", wishlistRoutes);
+app.use("/api/inventory", inventoryRoutes);
+app.use("/api/addresses", addressRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -58,6 +113,20 @@ const connectDB = async () => {
     }
     const conn = await mongoose.connect(process.env.MONGODB_URI);
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Seed the built-in roles that permissions are resolved against
+    await Role.ensureDefaults();
+
+    // Bring indexes left by older releases in line with the schema; this drops
+    // the global unique category name, as names are now unique per parent,
+    // and makes the unique cart user sparse so there can be many guest carts
+    await Category.syncIndexes();
+    await Cart.syncIndexes();
+
+    // Send domain events to webhooks and retry failed deliveries
+    startWebhookDelivery();
+    // Send transactional emails and retry failed ones
+    startNotifications();
   } catch (error) {
     console.error(`MongoDB Connection Error: ${error.message}`);
     process.exit(1);
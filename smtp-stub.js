@@ -0,0 +1,90 @@
+/**
+ * Local SMTP Stub
+ * Run with: node smtp-stub.js
+ *
+ * Accepts mail on localhost:1025 (SMTP_STUB_PORT) and prints each message.
+ * Start the API with MAIL_TRANSPORT=smtp to send its emails here.
+ *
+ * Set STUB_FAIL_COUNT=N to reject the first N messages with a temporary
+ * error and see them retried.
+ */
+
+import net from 'net';
+
+const PORT = process.env.SMTP_STUB_PORT || 1025;
+
+let failuresLeft = parseInt(process.env.STUB_FAIL_COUNT) || 0;
+
+// Decode the text/plain part of a MIME message written by utils/mailer.js
+function textPart(data) {
+  const match = /Content-Type: text\/plain[^\r\n]*\r\nContent-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+)/.exec(data);
+  return match ? Buffer.from(match[1].replace(/\r\n/g, ''), 'base64').toString('utf8') : data;
+}
+
+function header(data, name) {
+  const match = new RegExp(`^${name}: (.*)$`, 'mi').exec(data);
+  if (!match) {
+    return '';
+  }
+  return match[1].replace(/=\?UTF-8\?B\?([^?]+)\?=/g, (encoded, value) => Buffer.from(value, 'base64').toString('utf8'));
+}
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let data = '';
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  socket.setEncoding('utf8');
+  reply('220 smtp-stub ready');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (inData) {
+        if (line !== '.') {
+          data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+          continue;
+        }
+        inData = false;
+
+        console.log(`\n📧 ${header(data, 'Subject')}`);
+        console.log(`   To: ${header(data, 'To')}`);
+        if (failuresLeft > 0) {
+          failuresLeft--;
+          console.log(`💥 Simulating failure (${failuresLeft} left)`);
+          reply('451 Simulated temporary failure');
+        } else {
+          console.log(textPart(data));
+          reply('250 Message accepted');
+        }
+        data = '';
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250 smtp-stub');
+      } else if (command === 'DATA') {
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('250 OK');
+      }
+    }
+  });
+
+  socket.on('error', () => {});
+});
+
+server.listen(PORT, () => {
+  console.log(`📬 SMTP stub listening on localhost:${PORT}`);
+});
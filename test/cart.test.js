@@ -0,0 +1,50 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Cart from '../models/Cart.js';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import cartRoutes from '../routes/cart.js';
+import { createProduct, request, useApp } from './helpers.js';
+
+describe('Guest carts', () => {
+  const app = useApp({ '/api/cart': cartRoutes }, { clear: [Cart, Category, Product] });
+  let product;
+
+  beforeEach(async () => {
+    product = await createProduct({ name: 'Mug', description: 'Stoneware mug', price: 12, stock: 1 });
+  });
+
+  test('viewing the cart does not store one', async () => {
+    const responses = await Promise.all(Array.from({ length: 3 }, () => request(`${app.url}/api/cart`)));
+
+    for (const response of responses) {
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data.items, []);
+    }
+    assert.equal(await Cart.countDocuments(), 0);
+  });
+
+  test('each guest gets their own cart on the first item', async () => {
+    const add = () => request(`${app.url}/api/cart`, {
+      method: 'POST',
+      body: { product: product._id, quantity: 1 }
+    });
+
+    const [first, second] = await Promise.all([add(), add()]);
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.notEqual(first.body.cartToken, second.body.cartToken);
+    assert.equal(await Cart.countDocuments(), 2);
+  });
+
+  test('a failed first add stores no cart', async () => {
+    const response = await request(`${app.url}/api/cart`, {
+      method: 'POST',
+      body: { product: product._id, quantity: 5 }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(await Cart.countDocuments(), 0);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import { importProducts } from '../utils/catalog.js';
+import { createCategory, createProduct, useDatabase } from './helpers.js';
+
+describe('importProducts stock', () => {
+  useDatabase({ clear: [Category, Product, StockMovement] });
+
+  test('updates variant stock and keeps the product total', async () => {
+    await createProduct({
+      sku: 'TSHIRT',
+      variants: [
+        { sku: 'TSHIRT-S', options: [{ name: 'size', value: 'S' }], stock: 10 },
+        { sku: 'TSHIRT-M', options: [{ name: 'size', value: 'M' }], stock: 4 }
+      ]
+    });
+
+    // An exported record carries the old total as the product stock
+    const { summary } = await importProducts([{
+      sku: 'TSHIRT',
+      stock: 14,
+      variants: [
+        { sku: 'TSHIRT-S', stock: 6 },
+        { sku: 'TSHIRT-L', options: [{ name: 'size', value: 'L' }], stock: 3 }
+      ]
+    }]);
+
+    assert.equal(summary.updated, 1);
+    const product = await Product.findOne({ sku: 'TSHIRT' });
+    assert.deepEqual(product.variants.map(variant => variant.stock), [6, 4, 3]);
+    assert.equal(product.stock, 13);
+    const movements = await StockMovement.find({ product: product._id }).sort('_id');
+    assert.deepEqual(movements.map(movement => movement.quantity), [-4, 3]);
+  });
+
+  test('first variants replace the product stock', async () => {
+    await createProduct({ sku: 'TSHIRT', stock: 5 });
+
+    await importProducts([{
+      sku: 'TSHIRT',
+      variants: [{ sku: 'TSHIRT-S', options: [{ name: 'size', value: 'S' }], stock: 2 }]
+    }]);
+
+    const product = await Product.findOne({ sku: 'TSHIRT' });
+    assert.equal(product.stock, 2);
+    assert.equal(product.variants[0].stock, 2);
+  });
+
+  test('rejects negative stock without changing the product', async () => {
+    await createProduct({ sku: 'TSHIRT', stock: 5 });
+
+    const { summary, rows } = await importProducts([{ sku: 'TSHIRT', name: 'Renamed', stock: -1 }]);
+
+    assert.equal(summary.failed, 1);
+    assert.deepEqual(rows[0].errors, ['Stock cannot be negative']);
+    const product = await Product.findOne({ sku: 'TSHIRT' });
+    assert.equal(product.name, 'T-shirt');
+    assert.equal(product.stock, 5);
+  });
+
+  test('reports a variant that is not an object on its row', async () => {
+    const category = await createCategory();
+    const { summary, rows } = await importProducts([
+      { sku: 'MUG', name: 'Mug', description: 'Stoneware mug', price: 8, category: String(category._id), variants: [null] },
+      { sku: 'CAP', name: 'Cap', description: 'Cotton cap', price: 12, category: String(category._id), stock: 3 }
+    ]);
+
+    assert.equal(summary.failed, 1);
+    assert.equal(summary.created, 1);
+    assert.deepEqual(rows[0].errors, ['Variant 1 must be an object']);
+    assert.equal(await Product.countDocuments({ sku: 'MUG' }), 0);
+  });
+});
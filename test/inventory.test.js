@@ -0,0 +1,88 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import Wishlist from '../models/Wishlist.js';
+import inventoryRoutes from '../routes/inventory.js';
+import { onEvent } from '../utils/events.js';
+import { adjustStock } from '../utils/stock.js';
+import { createProduct, createUser, request, useApp } from './helpers.js';
+
+describe('Inventory', () => {
+  const app = useApp({ '/api/inventory': inventoryRoutes });
+  let admin;
+  let product;
+
+  before(async () => {
+    admin = await createUser({ role: 'admin' });
+    product = await createProduct({
+      name: 'Mug',
+      description: 'Stoneware mug',
+      price: 12,
+      stock: 6,
+      lowStockThreshold: 5
+    });
+  });
+
+  test('publishes product.low_stock when stock drops to the threshold', async () => {
+    const alerts = [];
+    onEvent('product.low_stock', event => alerts.push(event.data));
+
+    await adjustStock({ product: product._id, quantity: -1, reason: 'damaged', user: admin.user._id });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].stock, 5);
+    assert.equal(alerts[0].threshold, 5);
+  });
+
+  test('movement filters are validated', async () => {
+    for (const query of ['type=theft', 'reason=unknown', 'product=mug', 'product[$ne]=x', 'order=1']) {
+      const response = await request(`${app.url}/api/inventory/movements?${query}`, { token: admin.token });
+      assert.equal(response.status, 400, query);
+    }
+
+    const response = await request(`${app.url}/api/inventory/movements?product=${product._id}&reason=damaged`, {
+      token: admin.token
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.count, 1);
+  });
+
+  test('product routes reject an invalid product id', async () => {
+    const history = await request(`${app.url}/api/inventory/products/mug`, { token: admin.token });
+    assert.equal(history.status, 400);
+
+    const threshold = await request(`${app.url}/api/inventory/products/mug/threshold`, {
+      method: 'PUT',
+      token: admin.token,
+      body: { lowStockThreshold: 3 }
+    });
+    assert.equal(threshold.status, 400);
+  });
+
+  test('a restock emails users watching the product', async () => {
+    const teapot = await createProduct({ name: 'Teapot', description: 'Cast iron teapot', price: 30, stock: 0 });
+    const { user } = await createUser();
+    await Wishlist.create({ user: user._id, name: 'Wishlist', items: [{ product: teapot._id }] });
+
+    const response = await request(`${app.url}/api/inventory/adjustments`, {
+      method: 'POST',
+      token: admin.token,
+      body: { product: teapot._id, quantity: 4, type: 'restock', reason: 'supplier_delivery' }
+    });
+    assert.equal(response.status, 201);
+
+    // The alert is sent in the background
+    let sent = [];
+    for (let attempt = 0; attempt < 20 && sent.length === 0; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const files = await fs.readdir(process.env.MAIL_DIR).catch(() => []);
+      const messages = await Promise.all(files.map(async file =>
+        JSON.parse(await fs.readFile(path.join(process.env.MAIL_DIR, file), 'utf8'))));
+      sent = messages.filter(message => message.to === user.email);
+    }
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].subject, 'Teapot is back in stock');
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Category from '../models/Category.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import orderRoutes from '../routes/orders.js';
+import { SHIPPING_ADDRESS, createProduct, createUser, request, useApp } from './helpers.js';
+
+describe('POST /api/orders under concurrency', () => {
+  const app = useApp({ '/api/orders': orderRoutes }, { clear: [Category, Product, Order, StockMovement] });
+
+  const placeOrder = (token, items) => request(`${app.url}/api/orders`, {
+    method: 'POST',
+    token,
+    body: { items, shippingAddress: SHIPPING_ADDRESS, paymentMethod: 'cash_on_delivery' }
+  });
+
+  test('parallel orders never sell more than the stock', async () => {
+    const product = await createProduct({ stock: 3 });
+    const buyers = await Promise.all(Array.from({ length: 10 }, () => createUser()));
+
+    const responses = await Promise.all(buyers.map(({ token }) =>
+      placeOrder(token, [{ product: product._id, quantity: 1 }])
+    ));
+
+    const placed = responses.filter(response => response.status === 201);
+    const rejected = responses.filter(response => response.status === 400);
+    assert.equal(placed.length, 3);
+    assert.equal(rejected.length, 7);
+    for (const response of rejected) {
+      assert.match(response.body.message, /Insufficient stock/);
+    }
+
+    const updated = await Product.findById(product._id);
+    assert.equal(updated.stock, 0);
+    assert.equal(await Order.countDocuments({ 'items.product': product._id }), 3);
+    assert.equal(await StockMovement.countDocuments({ product: product._id, type: 'sale' }), 3);
+  });
+
+  test('parallel orders for several units stop at the stock level', async () => {
+    const product = await createProduct({ stock: 5 });
+    const buyers = await Promise.all(Array.from({ length: 6 }, () => createUser()));
+
+    const responses = await Promise.all(buyers.map(({ token }) =>
+      placeOrder(token, [{ product: product._id, quantity: 2 }])
+    ));
+
+    assert.equal(responses.filter(response => response.status === 201).length, 2);
+    const updated = await Product.findById(product._id);
+    assert.equal(updated.stock, 1);
+  });
+
+  test('an order with an unavailable line changes no stock', async () => {
+    const available = await createProduct({ name: 'In stock', stock: 5 });
+    const soldOut = await createProduct({ name: 'Sold out', stock: 0 });
+    const { token } = await createUser();
+
+    const response = await placeOrder(token, [
+      { product: available._id, quantity: 2 },
+      { product: soldOut._id, quantity: 1 }
+    ]);
+
+    assert.equal(response.status, 400);
+    assert.equal((await Product.findById(available._id)).stock, 5);
+    assert.equal(await Order.countDocuments(), 0);
+    assert.equal(await StockMovement.countDocuments(), 0);
+  });
+
+  test('a malformed product id is rejected with 400', async () => {
+    const { token } = await createUser();
+
+    const response = await placeOrder(token, [{ product: 'not-an-id', quantity: 1 }]);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors[0].msg, 'Invalid product ID');
+  });
+});
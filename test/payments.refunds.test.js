@@ -0,0 +1,49 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../models/Order.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import { refundOrder } from '../utils/payments.js';
+import { SHIPPING_ADDRESS, createUser, useDatabase } from './helpers.js';
+
+describe('refundOrder', () => {
+  let user;
+
+  useDatabase({ clear: [Order, PaymentTransaction] });
+
+  before(async () => {
+    ({ user } = await createUser());
+  });
+
+  const createPaidOrder = () => Order.create({
+    user: user._id,
+    items: [],
+    subtotal: 40,
+    total: 45.5,
+    shippingAddress: SHIPPING_ADDRESS,
+    paymentMethod: 'credit_card',
+    paymentStatus: 'paid',
+    payment: { provider: 'mock', intentId: 'mock_pi_test' }
+  });
+
+  test('concurrent refunds never add up to more than the total', async () => {
+    const order = await createPaidOrder();
+
+    const results = await Promise.allSettled(Array.from({ length: 5 }, () => refundOrder(order, { amount: 20 })));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+    for (const result of results.filter(result => result.status === 'rejected')) {
+      assert.equal(result.reason.statusCode, 409);
+    }
+    assert.equal((await Order.findById(order._id)).refundedAmount, 40);
+    assert.equal(await PaymentTransaction.countDocuments({ type: 'refund' }), 2);
+  });
+
+  test('a full refund marks the order refunded', async () => {
+    const order = await createPaidOrder();
+
+    const refunded = await refundOrder(order);
+
+    assert.equal(refunded.refundedAmount, 45.5);
+    assert.equal(refunded.paymentStatus, 'refunded');
+  });
+});
@@ -0,0 +1,123 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../models/Order.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import paymentRoutes from '../routes/payments.js';
+import { mockPaymentProvider } from '../utils/mockPaymentProvider.js';
+import { SHIPPING_ADDRESS, createUser, request, useApp } from './helpers.js';
+
+describe('POST /api/payments/webhook', () => {
+  const app = useApp({ '/api/payments': paymentRoutes }, { clear: [Order, PaymentTransaction] });
+  let user;
+  let token;
+
+  before(async () => {
+    ({ user, token } = await createUser());
+  });
+
+  const createOrder = (fields) => Order.create({
+    user: user._id,
+    items: [],
+    subtotal: 40,
+    total: 45.5,
+    shippingAddress: SHIPPING_ADDRESS,
+    paymentMethod: 'credit_card',
+    payment: { provider: 'mock', intentId: 'mock_pi_test' },
+    ...fields
+  });
+
+  const sendEvent = async (type, data, signature) => {
+    const event = mockPaymentProvider.createWebhookEvent(type, data);
+    const response = await fetch(`${app.url}/api/payments/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-mock-signature': signature || event.signature },
+      body: event.body
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('marks the order paid for the full amount', async () => {
+    const order = await createOrder();
+
+    const response = await sendEvent('payment.succeeded', { intentId: 'mock_pi_test', amount: 45.5 });
+
+    assert.equal(response.status, 200);
+    assert.equal((await Order.findById(order._id)).paymentStatus, 'paid');
+  });
+
+  test('rejects a payment that does not cover the order total', async () => {
+    const order = await createOrder();
+
+    const response = await sendEvent('payment.succeeded', { intentId: 'mock_pi_test', amount: 0.01 });
+
+    assert.equal(response.status, 400);
+    assert.equal((await Order.findById(order._id)).paymentStatus, 'pending');
+  });
+
+  test('ignores payments for cancelled orders', async () => {
+    const order = await createOrder({ status: 'cancelled' });
+
+    const response = await sendEvent('payment.succeeded', { intentId: 'mock_pi_test', amount: 45.5 });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.ignored, true);
+    assert.equal((await Order.findById(order._id)).paymentStatus, 'pending');
+  });
+
+  test('a pending intent is handed out again', async () => {
+    const order = await createOrder({ payment: undefined });
+    const createIntent = () => request(`${app.url}/api/payments/orders/${order._id}/intent`, { method: 'POST', token });
+
+    const first = await createIntent();
+    const second = await createIntent();
+
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.data.intentId, first.body.data.intentId);
+    assert.equal(second.body.data.clientSecret, first.body.data.clientSecret);
+  });
+
+  test('payments on an earlier intent of the order are recorded', async () => {
+    const order = await createOrder({ payment: { provider: 'mock', intentId: 'mock_pi_new' } });
+    await PaymentTransaction.create({
+      order: order._id,
+      provider: 'mock',
+      type: 'intent',
+      intentId: 'mock_pi_old',
+      amount: 45.5,
+      currency: 'usd',
+      status: 'pending'
+    });
+
+    const response = await sendEvent('payment.succeeded', { intentId: 'mock_pi_old', amount: 45.5 });
+
+    assert.equal(response.status, 200);
+    assert.equal((await Order.findById(order._id)).paymentStatus, 'paid');
+  });
+
+  test('answers 503 while online payments are not configured', async () => {
+    const event = mockPaymentProvider.createWebhookEvent('payment.succeeded', { intentId: 'mock_pi_test', amount: 45.5 });
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    try {
+      const response = await fetch(`${app.url}/api/payments/webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-mock-signature': event.signature },
+        body: event.body
+      });
+      assert.equal(response.status, 503);
+    } finally {
+      process.env.PAYMENT_WEBHOOK_SECRET = secret;
+    }
+  });
+
+  test('rejects events with a bad signature', async () => {
+    const order = await createOrder();
+
+    const forged = `t=${Math.floor(Date.now() / 1000)},v1=forged`;
+    const response = await sendEvent('payment.succeeded', { intentId: 'mock_pi_test', amount: 45.5 }, forged);
+
+    assert.equal(response.status, 400);
+    assert.equal((await Order.findById(order._id)).paymentStatus, 'pending');
+  });
+});
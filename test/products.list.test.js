@@ -0,0 +1,38 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import productRoutes from '../routes/products.js';
+import { createCategory, createProduct, request, useApp } from './helpers.js';
+
+describe('GET /api/products', () => {
+  const app = useApp({ '/api/products': productRoutes });
+  let category;
+
+  before(async () => {
+    category = await createCategory({ name: 'Kitchen' });
+    await createProduct({ name: 'Mug', description: 'Stoneware mug', price: 12, stock: 3, category: category._id });
+  });
+
+  const listProducts = (query) => request(`${app.url}/api/products?${query}`);
+
+  test('lists the products of a category and its subcategories', async () => {
+    const response = await listProducts(`category=${category._id}&includeSubcategories=true`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.count, 1);
+  });
+
+  test('rejects invalid filters with 400', async () => {
+    for (const query of [
+      'category=kitchen&includeSubcategories=true',
+      'includeSubcategories=maybe',
+      'minRating=9',
+      'attr=material',
+      'facets=none',
+      'search[$ne]=mug'
+    ]) {
+      const response = await listProducts(query);
+      assert.equal(response.status, 400, query);
+      assert.equal(response.body.success, false);
+    }
+  });
+});
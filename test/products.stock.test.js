@@ -0,0 +1,103 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Category from '../models/Category.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import orderRoutes from '../routes/orders.js';
+import productRoutes from '../routes/products.js';
+import { SHIPPING_ADDRESS, createProduct, createUser, request, useApp } from './helpers.js';
+
+describe('Product stock edits', () => {
+  const app = useApp(
+    { '/api/orders': orderRoutes, '/api/products': productRoutes },
+    { clear: [Category, Product, Order, StockMovement] }
+  );
+  let admin;
+
+  before(async () => {
+    admin = await createUser({ role: 'admin' });
+  });
+
+  const variantUrl = (product, variant) => `${app.url}/api/products/${product._id}/variants/${variant._id}`;
+
+  test('variant edits made during sales do not undo them', async () => {
+    const product = await createProduct({
+      variants: [
+        { sku: 'TS-S', options: [{ name: 'Size', value: 'S' }], stock: 10 },
+        { sku: 'TS-M', options: [{ name: 'Size', value: 'M' }], stock: 4 }
+      ]
+    });
+    const [small] = product.variants;
+    const buyers = await Promise.all(Array.from({ length: 5 }, () => createUser()));
+
+    await Promise.all([
+      ...buyers.map(({ token }) => request(`${app.url}/api/orders`, {
+        method: 'POST',
+        token,
+        body: {
+          items: [{ product: product._id, variant: small._id, quantity: 1 }],
+          shippingAddress: SHIPPING_ADDRESS,
+          paymentMethod: 'cash_on_delivery'
+        }
+      })),
+      ...[21, 22, 23, 24, 25].map(price => request(variantUrl(product, small), {
+        method: 'PUT',
+        token: admin.token,
+        body: { price }
+      }))
+    ]);
+
+    const updated = await Product.findById(product._id);
+    assert.equal(updated.findVariant(small._id).stock, 5);
+    assert.equal(updated.stock, 9);
+  });
+
+  test('setting a variant stock records the difference', async () => {
+    const product = await createProduct({
+      variants: [{ sku: 'TS-S', options: [{ name: 'Size', value: 'S' }], stock: 3 }]
+    });
+
+    const response = await request(variantUrl(product, product.variants[0]), {
+      method: 'PUT',
+      token: admin.token,
+      body: { stock: 8 }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.stock, 8);
+    const [movement] = await StockMovement.find({ product: product._id });
+    assert.equal(movement.quantity, 5);
+    assert.equal(movement.stockAfter, 8);
+  });
+
+  test('the first variant replaces the product stock', async () => {
+    const product = await createProduct({ stock: 4 });
+
+    const response = await request(`${app.url}/api/products/${product._id}/variants`, {
+      method: 'POST',
+      token: admin.token,
+      body: { sku: 'TS-S', options: [{ name: 'Size', value: 'S' }], stock: 2 }
+    });
+
+    assert.equal(response.status, 201);
+    const updated = await Product.findById(product._id);
+    assert.equal(updated.stock, 2);
+    assert.equal(updated.variants[0].stock, 2);
+  });
+
+  test('stock of a variant product cannot be set directly', async () => {
+    const product = await createProduct({
+      variants: [{ sku: 'TS-S', options: [{ name: 'Size', value: 'S' }], stock: 3 }]
+    });
+
+    const response = await request(`${app.url}/api/products/${product._id}`, {
+      method: 'PUT',
+      token: admin.token,
+      body: { stock: 10 }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await Product.findById(product._id)).stock, 3);
+  });
+});
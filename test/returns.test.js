@@ -0,0 +1,66 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import returnRoutes from '../routes/returns.js';
+import { SHIPPING_ADDRESS, createUser, request, useApp } from './helpers.js';
+
+describe('Return requests', () => {
+  const app = useApp({ '/api/returns': returnRoutes }, { clear: [Order, ReturnRequest] });
+  let customer;
+
+  before(async () => {
+    customer = await createUser();
+  });
+
+  const createOrder = () => Order.create({
+    user: customer.user._id,
+    items: [{ product: new mongoose.Types.ObjectId(), name: 'Mug', quantity: 2, price: 10, total: 20 }],
+    subtotal: 20,
+    total: 20,
+    shippingAddress: SHIPPING_ADDRESS,
+    paymentMethod: 'cash_on_delivery',
+    status: 'delivered',
+    deliveredAt: new Date()
+  });
+
+  const openReturn = (order, quantity) => request(`${app.url}/api/returns`, {
+    method: 'POST',
+    token: customer.token,
+    body: { order: order._id, items: [{ orderItem: order.items[0]._id, quantity, reason: 'damaged' }] }
+  });
+
+  test('parallel requests never return more than was ordered', async () => {
+    const order = await createOrder();
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () => openReturn(order, 1)));
+
+    assert.equal(responses.filter(response => response.status === 201).length, 2);
+    assert.equal(responses.filter(response => response.status === 400).length, 3);
+    assert.equal(await ReturnRequest.countDocuments({ order: order._id }), 2);
+    assert.equal((await Order.findById(order._id)).items[0].returnedQuantity, 2);
+  });
+
+  test('a cancelled return makes its units returnable again', async () => {
+    const order = await createOrder();
+    const { body } = await openReturn(order, 2);
+
+    const cancelled = await request(`${app.url}/api/returns/${body.data._id}/status`, {
+      method: 'PUT',
+      token: customer.token,
+      body: { status: 'cancelled' }
+    });
+
+    assert.equal(cancelled.status, 200);
+    assert.equal((await openReturn(order, 2)).status, 201);
+  });
+
+  test('list filters are validated', async () => {
+    const status = await request(`${app.url}/api/returns?status[$ne]=requested`, { token: customer.token });
+    const order = await request(`${app.url}/api/returns?order=not-an-id`, { token: customer.token });
+
+    assert.equal(status.status, 400);
+    assert.equal(order.status, 400);
+  });
+});
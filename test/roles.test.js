@@ -0,0 +1,54 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Role from '../models/Role.js';
+import { useDatabase } from './helpers.js';
+
+describe('Role.ensureDefaults', () => {
+  useDatabase();
+
+  test('grants existing system roles the default permissions they lack', async () => {
+    // A role seeded by a release that did not track granted defaults
+    await Role.updateOne(
+      { name: 'auditor' },
+      { $set: { permissions: ['orders:read', 'coupons:read'] }, $unset: { grantedDefaults: 1 } }
+    );
+
+    await Role.ensureDefaults();
+
+    const auditor = await Role.findOne({ name: 'auditor' });
+    assert.ok(auditor.permissions.includes('analytics:read'));
+    assert.ok(auditor.permissions.includes('users:read'));
+    assert.ok(auditor.permissions.includes('coupons:read'));
+    assert.equal(auditor.permissions.filter(permission => permission === 'orders:read').length, 1);
+  });
+
+  test('does not grant again a default permission an admin removed', async () => {
+    const auditor = await Role.findOne({ name: 'auditor' });
+    auditor.permissions.pull('analytics:read');
+    await auditor.save();
+
+    await Role.ensureDefaults();
+
+    const updated = await Role.findOne({ name: 'auditor' });
+    assert.ok(!updated.permissions.includes('analytics:read'));
+    assert.ok(updated.permissions.includes('users:read'));
+  });
+
+  test('grants default permissions added by a new release', async () => {
+    await Role.updateOne({ name: 'auditor' }, { $pull: { grantedDefaults: 'orders:read', permissions: 'orders:read' } });
+
+    await Role.ensureDefaults();
+
+    assert.ok((await Role.findOne({ name: 'auditor' })).permissions.includes('orders:read'));
+  });
+
+  test('creates missing system roles', async () => {
+    await Role.deleteOne({ name: 'order_fulfiller' });
+
+    await Role.ensureDefaults();
+
+    const fulfiller = await Role.findOne({ name: 'order_fulfiller' });
+    assert.equal(fulfiller.isSystem, true);
+    assert.ok(fulfiller.permissions.includes('inventory:read'));
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import UserToken from '../models/UserToken.js';
+import userRoutes from '../routes/users.js';
+import { createUser, request, useApp } from './helpers.js';
+
+describe('PUT /api/users/:id', () => {
+  const app = useApp({ '/api/users': userRoutes });
+
+  const updateUser = (token, id, body) => request(`${app.url}/api/users/${id}`, {
+    method: 'PUT',
+    token,
+    body
+  });
+
+  test('only profile fields can be changed', async () => {
+    const { user, token } = await createUser();
+
+    const response = await updateUser(token, user._id, {
+      name: 'New Name',
+      isEmailVerified: true,
+      emailVerifiedAt: new Date().toISOString(),
+      passwordChangedAt: new Date(0).toISOString()
+    });
+
+    assert.equal(response.status, 200);
+    const updated = await User.findById(user._id);
+    assert.equal(updated.name, 'New Name');
+    assert.equal(updated.isEmailVerified, false);
+    assert.equal(updated.emailVerifiedAt, undefined);
+    assert.equal(updated.passwordChangedAt, undefined);
+  });
+
+  test('changing the email requires verifying it again', async () => {
+    const { user, token } = await createUser({ isEmailVerified: true, emailVerifiedAt: new Date() });
+
+    const response = await updateUser(token, user._id, { email: 'changed@example.com' });
+
+    assert.equal(response.status, 200);
+    const updated = await User.findById(user._id);
+    assert.equal(updated.email, 'changed@example.com');
+    assert.equal(updated.isEmailVerified, false);
+    assert.equal(updated.emailVerifiedAt, undefined);
+    assert.equal(await UserToken.countDocuments({ user: user._id, type: 'email_verification' }), 1);
+  });
+
+  test('an email used by another account is rejected', async () => {
+    const { user: other } = await createUser();
+    const { user, token } = await createUser();
+
+    const response = await updateUser(token, user._id, { email: other.email });
+
+    assert.equal(response.status, 400);
+  });
+
+  test('users cannot change their own account status', async () => {
+    const { user, token } = await createUser();
+
+    const response = await updateUser(token, user._id, { isActive: false });
+
+    assert.equal(response.status, 403);
+    assert.equal((await User.findById(user._id)).isActive, true);
+  });
+
+  test('users:manage can deactivate an account', async () => {
+    const { token } = await createUser({ role: 'admin' });
+    const { user } = await createUser();
+
+    const response = await updateUser(token, user._id, { isActive: false });
+
+    assert.equal(response.status, 200);
+    assert.equal((await User.findById(user._id)).isActive, false);
+  });
+});
@@ -0,0 +1,64 @@
+import User from '../models/User.js';
+
+// Fields copied from an address book entry onto an order
+export const ADDRESS_FIELDS = ['name', 'street', 'city', 'state', 'zipCode', 'country', 'phone'];
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const addressSnapshot = (address) => {
+  const snapshot = {};
+  for (const field of ADDRESS_FIELDS) {
+    if (address[field] != null) {
+      snapshot[field] = address[field];
+    }
+  }
+  return snapshot;
+};
+
+// An address book entry flagged with whether it is a default
+export const addressBookEntry = (user, address) => ({
+  ...address.toObject(),
+  isDefaultShipping: String(address._id) === String(user.defaultShippingAddress),
+  isDefaultBilling: String(address._id) === String(user.defaultBillingAddress)
+});
+
+// Work out the shipping and billing addresses of an order. Each can be sent in
+// full or as the id of a saved address; otherwise the user's default is used,
+// and billing falls back to the shipping address.
+export const resolveOrderAddresses = async (userId, { shippingAddress, shippingAddressId, billingAddress, billingAddressId }) => {
+  const user = await User.findById(userId).select('addresses defaultShippingAddress defaultBillingAddress');
+
+  const saved = (id, kind) => {
+    const address = user && user.addresses.id(id);
+    if (!address) {
+      throw httpError(`Saved ${kind} address not found`, 404);
+    }
+    return addressSnapshot(address);
+  };
+
+  let shipping = shippingAddress;
+  if (!shipping && shippingAddressId) {
+    shipping = saved(shippingAddressId, 'shipping');
+  } else if (!shipping && user && user.defaultShippingAddress) {
+    shipping = saved(user.defaultShippingAddress, 'shipping');
+  }
+  if (!shipping) {
+    throw httpError('Shipping address is required', 400);
+  }
+
+  let billing = billingAddress;
+  if (!billing && billingAddressId) {
+    billing = saved(billingAddressId, 'billing');
+  } else if (!billing && user && user.defaultBillingAddress) {
+    billing = saved(user.defaultBillingAddress, 'billing');
+  }
+
+  return {
+    shippingAddress: shipping,
+    billingAddress: billing || shipping
+  };
+};
@@ -0,0 +1,245 @@
+import Order from '../models/Order.js';
+import Cart from '../models/Cart.js';
+
+export const INTERVALS = ['day', 'week', 'month'];
+
+const DEFAULT_RANGE_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw httpError(`Invalid ${name} date`, 400);
+  }
+  return date;
+};
+
+// Reporting window from ?from= and ?to= (dates or timestamps). A plain `to`
+// date includes that whole day. Defaults to the last 30 days.
+export const dateRange = (query) => {
+  let to = query.to ? parseDate(query.to, 'to') : new Date();
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to = new Date(to.getTime() + DAY);
+  }
+  const from = query.from ? parseDate(query.from, 'from') : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY);
+
+  if (from >= to) {
+    throw httpError('from must be before to', 400);
+  }
+  return { from, to };
+};
+
+export const timezone = (query) => {
+  const zone = query.timezone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch (error) {
+    throw httpError(`Unknown timezone "${zone}"`, 400);
+  }
+  return zone;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const placedIn = ({ from, to }) => ({ createdAt: { $gte: from, $lt: to } });
+
+// Cancelled orders never turned into sales
+const sold = (range) => ({ ...placedIn(range), status: { $ne: 'cancelled' } });
+
+// Order count, revenue, refunds and average order value of orders placed in
+// the range
+export const salesSummary = async (range) => {
+  const [totals] = await Order.aggregate([
+    { $match: sold(range) },
+    // Per customer first, so customers can be counted without collecting ids
+    {
+      $group: {
+        _id: '$user',
+        orders: { $sum: 1 },
+        revenue: { $sum: '$total' },
+        refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+        discounts: { $sum: '$discount' },
+        itemsSold: { $sum: { $sum: '$items.quantity' } }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        customers: { $sum: 1 },
+        orders: { $sum: '$orders' },
+        revenue: { $sum: '$revenue' },
+        refunds: { $sum: '$refunds' },
+        discounts: { $sum: '$discounts' },
+        itemsSold: { $sum: '$itemsSold' }
+      }
+    }
+  ]);
+  const cancelled = await Order.countDocuments({ ...placedIn(range), status: 'cancelled' });
+
+  const orders = totals ? totals.orders : 0;
+  const revenue = totals ? totals.revenue : 0;
+  const refunds = totals ? totals.refunds : 0;
+  return {
+    orders,
+    cancelledOrders: cancelled,
+    customers: totals ? totals.customers : 0,
+    itemsSold: totals ? totals.itemsSold : 0,
+    revenue: round(revenue),
+    refunds: round(refunds),
+    netRevenue: round(revenue - refunds),
+    discounts: round(totals ? totals.discounts : 0),
+    averageOrderValue: orders > 0 ? round(revenue / orders) : 0
+  };
+};
+
+// Orders and revenue per day, week (starting Monday) or month
+export const salesOverTime = async (range, { interval = 'day', timezone: zone = 'UTC' } = {}) => {
+  const periods = await Order.aggregate([
+    { $match: sold(range) },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: interval, timezone: zone, startOfWeek: 'monday' } },
+        orders: { $sum: 1 },
+        revenue: { $sum: '$total' },
+        refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return periods.map(period => ({
+    period: period._id,
+    orders: period.orders,
+    revenue: round(period.revenue),
+    refunds: round(period.refunds),
+    netRevenue: round(period.revenue - period.refunds),
+    averageOrderValue: round(period.revenue / period.orders)
+  }));
+};
+
+// Best-selling products (or variants' products) by revenue or quantity
+export const topProducts = async (range, { by = 'revenue', limit = 10 } = {}) => {
+  const products = await Order.aggregate([
+    { $match: sold(range) },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.product',
+        name: { $last: '$items.name' },
+        quantity: { $sum: '$items.quantity' },
+        revenue: { $sum: '$items.total' },
+        orders: { $sum: 1 }
+      }
+    },
+    { $sort: { [by]: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return products.map(product => ({
+    product: product._id,
+    name: product.name,
+    quantity: product.quantity,
+    revenue: round(product.revenue),
+    orders: product.orders
+  }));
+};
+
+// Best-selling categories, using each product's current category
+export const topCategories = async (range, { by = 'revenue', limit = 10 } = {}) => {
+  const categories = await Order.aggregate([
+    { $match: sold(range) },
+    { $unwind: '$items' },
+    {
+      $lookup: {
+        from: 'products',
+        localField: 'items.product',
+        foreignField: '_id',
+        pipeline: [{ $project: { category: 1 } }],
+        as: 'product'
+      }
+    },
+    // Per order and category first, so orders are counted once per category
+    {
+      $group: {
+        _id: { order: '$_id', category: { $first: '$product.category' } },
+        quantity: { $sum: '$items.quantity' },
+        revenue: { $sum: '$items.total' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.category',
+        quantity: { $sum: '$quantity' },
+        revenue: { $sum: '$revenue' },
+        orders: { $sum: 1 }
+      }
+    },
+    { $sort: { [by]: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'categories',
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1, slug: 1 } }],
+        as: 'category'
+      }
+    }
+  ]);
+
+  return categories.map(category => ({
+    category: category._id,
+    name: category.category.length > 0 ? category.category[0].name : null,
+    slug: category.category.length > 0 ? category.category[0].slug : null,
+    quantity: category.quantity,
+    revenue: round(category.revenue),
+    orders: category.orders
+  }));
+};
+
+// How many carts became orders. A cart is deleted when its order is placed,
+// so carts still holding items that were last changed in the range are the
+// ones that did not convert.
+export const cartConversion = async (range) => {
+  const [orders, openCarts, guestCarts] = await Promise.all([
+    Order.countDocuments(placedIn(range)),
+    Cart.countDocuments({ updatedAt: { $gte: range.from, $lt: range.to }, 'items.0': { $exists: true } }),
+    Cart.countDocuments({
+      updatedAt: { $gte: range.from, $lt: range.to },
+      'items.0': { $exists: true },
+      guestToken: { $exists: true }
+    })
+  ]);
+
+  const carts = orders + openCarts;
+  return {
+    carts,
+    orders,
+    abandonedCarts: openCarts,
+    abandonedGuestCarts: guestCarts,
+    conversionRate: carts > 0 ? round((orders / carts) * 100) : 0
+  };
+};
+
+// Orders and order value in each status and payment status
+export const statusBreakdown = async (range) => {
+  const breakdown = async (field) => {
+    const groups = await Order.aggregate([
+      { $match: placedIn(range) },
+      { $group: { _id: `$${field}`, orders: { $sum: 1 }, total: { $sum: '$total' } } },
+      { $sort: { orders: -1, _id: 1 } }
+    ]);
+    return groups.map(group => ({ [field]: group._id, orders: group.orders, total: round(group.total) }));
+  };
+
+  return {
+    status: await breakdown('status'),
+    paymentStatus: await breakdown('paymentStatus')
+  };
+};
@@ -0,0 +1,25 @@
+import { sendMail, escapeHtml } from './mailer.js';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+export const requireEmailVerification = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+export const sendVerificationEmail = async (user, token) => {
+  const link = `${frontendUrl()}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>If you did not create an account, you can ignore this email.</p>`
+  });
+};
+
+export const sendPasswordResetEmail = async (user, token) => {
+  const link = `${frontendUrl()}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nYou can choose a new password by opening this link:\n${link}\n\nIf you did not request a password reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>You can choose a new password by opening this link:</p><p><a href="${link}">${link}</a></p><p>If you did not request a password reset, you can ignore this email.</p>`
+  });
+};
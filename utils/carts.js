@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import Cart from '../models/Cart.js';
+import Product from '../models/Product.js';
+import { hashToken } from './generateToken.js';
+import { availableToSell } from './stock.js';
+import { applyCartCoupon } from './promotions.js';
+
+// Guests name their cart with this header; only its hash is stored
+export const CART_TOKEN_HEADER = 'x-cart-token';
+
+export const generateCartToken = () => crypto.randomBytes(24).toString('hex');
+
+// The cart a request works on: the signed-in user's, or the guest cart named
+// by the cart token. Null for a guest without a token.
+export const cartOwner = (req) => {
+  if (req.user) {
+    return { user: req.user._id };
+  }
+  const token = req.get(CART_TOKEN_HEADER);
+  return token ? { guestToken: hashToken(token) } : null;
+};
+
+// Move a guest cart into the user's cart after they sign in. Quantities are
+// added together but capped at what is available, lines that can no longer be
+// bought are dropped, and prices are refreshed. Resolves to null when there is
+// no guest cart, otherwise to the lines that could not be merged in full:
+// [{ product, variant, name, requested, added, reason }]
+export const mergeGuestCart = async (userId, token) => {
+  if (!token) {
+    return null;
+  }
+
+  const guestCart = await Cart.findOne({ guestToken: hashToken(token) });
+  if (!guestCart) {
+    return null;
+  }
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    cart = new Cart({ user: userId, items: [] });
+  }
+
+  const adjustments = [];
+  for (const guestItem of guestCart.items) {
+    const product = await Product.findById(guestItem.product);
+    const variant = product && product.findVariant(guestItem.variant);
+    const adjustment = {
+      product: guestItem.product,
+      variant: guestItem.variant,
+      name: product ? product.name : undefined,
+      requested: guestItem.quantity,
+      added: 0
+    };
+
+    if (!product || !product.isActive || (product.hasVariants() && (!variant || !variant.isActive))) {
+      adjustments.push({ ...adjustment, reason: 'Product is no longer available' });
+      continue;
+    }
+
+    const existing = cart.items.find(item =>
+      item.product.toString() === product._id.toString() &&
+      String(item.variant || '') === String(variant ? variant._id : '')
+    );
+    const current = existing ? existing.quantity : 0;
+    const available = await availableToSell(product, variant, userId);
+    const quantity = Math.min(current + guestItem.quantity, available);
+    const added = Math.max(quantity - current, 0);
+
+    if (added > 0) {
+      if (existing) {
+        existing.quantity = quantity;
+        existing.price = product.priceFor(variant);
+      } else {
+        cart.items.push({
+          product: product._id,
+          variant: variant ? variant._id : undefined,
+          quantity,
+          price: product.priceFor(variant)
+        });
+      }
+    }
+
+    if (added < guestItem.quantity) {
+      adjustments.push({
+        ...adjustment,
+        added,
+        reason: added > 0 ? 'Quantity reduced to the stock available' : 'Insufficient stock'
+      });
+    }
+  }
+
+  await applyCartCoupon(cart, userId);
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return adjustments;
+};
+
+const cartNotice = (type, item, product, variant, details) => ({
+  type,
+  item: item._id,
+  product: item.product,
+  variant: item.variant,
+  name: product ? product.name : undefined,
+  sku: variant ? variant.sku : undefined,
+  ...details
+});
+
+// Bring a cart's lines in line with the catalog: refresh prices, cut
+// quantities down to the stock available and drop lines that can no longer be
+// bought. Changes are made on `cart` but not saved. Resolves to a notice for
+// each change:
+//   price_changed  { oldPrice, newPrice }
+//   quantity_reduced  { requested, quantity }
+//   out_of_stock  line removed, nothing left to sell
+//   removed  line removed, product or variant no longer sold
+export const revalidateCart = async (cart, userId) => {
+  const ids = cart.items.map(item => item.product._id || item.product);
+  const products = await Product.find({ _id: { $in: ids } });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const notices = [];
+  for (const item of [...cart.items]) {
+    const product = productMap.get((item.product._id || item.product).toString());
+    const variant = product && product.findVariant(item.variant);
+
+    if (!product || !product.isActive || (product.hasVariants() && (!variant || !variant.isActive))) {
+      notices.push(cartNotice('removed', item, product, variant, { quantity: item.quantity }));
+      cart.items.pull(item._id);
+      continue;
+    }
+
+    const available = await availableToSell(product, variant, userId);
+    if (available === 0) {
+      notices.push(cartNotice('out_of_stock', item, product, variant, { quantity: item.quantity }));
+      cart.items.pull(item._id);
+      continue;
+    }
+
+    if (available < item.quantity) {
+      notices.push(cartNotice('quantity_reduced', item, product, variant, {
+        requested: item.quantity,
+        quantity: available
+      }));
+      item.quantity = available;
+    }
+
+    const price = product.priceFor(variant);
+    if (price !== item.price) {
+      notices.push(cartNotice('price_changed', item, product, variant, {
+        oldPrice: item.price,
+        newPrice: price
+      }));
+      item.price = price;
+    }
+  }
+
+  return notices;
+};
@@ -0,0 +1,413 @@
+import { once } from 'events';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { recordStockChanges, setStock } from './stock.js';
+import { productSnapshot, notifyWishlistWatchers } from './wishlistAlerts.js';
+import { parseCsv, csvLine } from './csv.js';
+
+export const CATALOG_FORMATS = ['csv', 'json'];
+
+export const MAX_IMPORT_ROWS = 10000;
+
+// Columns of a CSV catalog, in export order. Tags and images are separated by
+// "|" and attributes are written as "name:value|name:value".
+export const CSV_COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'category',
+  'stock',
+  'weight',
+  'lowStockThreshold',
+  'isActive',
+  'isFeatured',
+  'tags',
+  'attributes',
+  'images'
+];
+
+const LIST_SEPARATOR = '|';
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Records of an import body: CSV text with a header row, or a JSON array of
+// products (optionally wrapped as { products: [...] })
+export const parseCatalog = (body, format) => {
+  let records;
+
+  if (format === 'csv') {
+    if (typeof body !== 'string') {
+      throw httpError('Send CSV catalogs with Content-Type text/csv', 400);
+    }
+    const [header = [], ...rows] = parseCsv(body);
+    const columns = header.map(column => column.trim());
+    records = rows.map(values => Object.fromEntries(columns.map((column, index) => [column, values[index]])));
+  } else {
+    let data = body;
+    if (typeof body === 'string') {
+      try {
+        data = JSON.parse(body);
+      } catch (error) {
+        throw httpError('Invalid JSON', 400);
+      }
+    }
+    records = Array.isArray(data) ? data : data && data.products;
+    if (!Array.isArray(records)) {
+      throw httpError('Expected an array of products', 400);
+    }
+  }
+
+  if (records.length === 0) {
+    throw httpError('No products to import', 400);
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw httpError(`An import can contain at most ${MAX_IMPORT_ROWS} products`, 400);
+  }
+  return records;
+};
+
+const isBlank = (value) => value == null || (typeof value === 'string' && value.trim() === '');
+
+const toList = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR);
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+const toNumber = (value, field, errors) => {
+  const number = Number(value);
+  if (typeof value === 'boolean' || isNaN(number)) {
+    errors.push(`${field} must be a number`);
+  }
+  return number;
+};
+
+const toBoolean = (value, field, errors) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) {
+    return true;
+  }
+  if (!['false', '0', 'no'].includes(text)) {
+    errors.push(`${field} must be true or false`);
+  }
+  return false;
+};
+
+const toAttributes = (value, errors) => {
+  if (Array.isArray(value) && value.every(item => item && typeof item === 'object')) {
+    return value;
+  }
+  return toList(value).map(pair => {
+    const separator = pair.indexOf(':');
+    if (separator < 1) {
+      errors.push(`Attribute "${pair}" must be written as name:value`);
+    }
+    return { name: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim() };
+  });
+};
+
+// Product fields of an import record. Blank values are left out, so an
+// update only changes the columns that were filled in.
+const productFields = (record, errors) => {
+  const data = {};
+  const value = (field) => (isBlank(record[field]) ? undefined : record[field]);
+
+  for (const field of ['sku', 'name', 'description']) {
+    if (value(field) !== undefined) {
+      data[field] = String(value(field)).trim();
+    }
+  }
+  for (const field of ['price', 'stock', 'weight', 'lowStockThreshold']) {
+    if (value(field) !== undefined) {
+      data[field] = toNumber(value(field), field, errors);
+    }
+  }
+  for (const field of ['isActive', 'isFeatured']) {
+    if (value(field) !== undefined) {
+      data[field] = toBoolean(value(field), field, errors);
+    }
+  }
+  for (const field of ['tags', 'images']) {
+    if (value(field) !== undefined) {
+      data[field] = toList(value(field));
+    }
+  }
+  if (value('attributes') !== undefined) {
+    data.attributes = toAttributes(value('attributes'), errors);
+  }
+  if (data.sku) {
+    data.sku = data.sku.toUpperCase();
+  }
+  return data;
+};
+
+// Find a category by numeric categoryId, slug or ObjectId; lookups are cached
+// for the rest of the import
+const resolveCategory = async (value, cache) => {
+  const key = String(value).trim().toLowerCase();
+  if (!cache.has(key)) {
+    let category = null;
+    if (/^\d+$/.test(key)) {
+      category = await Category.findOne({ categoryId: Number(key) });
+    } else {
+      category = await Category.findOne({ slug: key });
+      if (!category && /^[0-9a-f]{24}$/.test(key)) {
+        category = await Category.findById(key);
+      }
+    }
+    cache.set(key, category);
+  }
+  return cache.get(key);
+};
+
+// Update variants matched by SKU and add new ones; variants missing from the
+// import are kept
+const mergeVariants = (product, variants) => {
+  for (const variant of variants) {
+    const sku = String(variant.sku || '').trim().toUpperCase();
+    const existing = product.variants.find(item => item.sku === sku);
+    if (existing) {
+      existing.set(variant);
+    } else {
+      product.variants.push(variant);
+    }
+  }
+};
+
+// Take the stock levels out of an update of an existing product: they are set
+// atomically once the other fields are saved, as sales may have changed the
+// stock since the product was loaded. Returns the remaining { fields,
+// variants } and the levels to set, [{ sku, stock }] with no sku for the
+// product's own stock.
+const splitStock = (data, variants, errors) => {
+  const { stock, ...fields } = data;
+  const levels = stock === undefined ? [] : [{ stock }];
+
+  const rest = variants && variants.map(variant => {
+    if (!variant || typeof variant !== 'object' || isBlank(variant.stock)) {
+      return variant;
+    }
+    const { stock: variantStock, ...others } = variant;
+    const sku = String(others.sku || '').trim().toUpperCase();
+    const level = toNumber(variantStock, `stock of variant ${sku}`, errors);
+    if (level < 0) {
+      errors.push(`Stock of variant ${sku} cannot be negative`);
+    }
+    levels.push({ sku, stock: level });
+    return others;
+  });
+
+  if (stock < 0) {
+    errors.push('Stock cannot be negative');
+  }
+  return { fields, variants: rest, levels };
+};
+
+// Set the imported stock levels of a saved product and resolve to the
+// updated product. A product-level stock is ignored once the product has
+// variants, as its stock is then their total.
+const applyStockLevels = async (product, levels, user) => {
+  let updated = product;
+  for (const { sku, stock } of levels) {
+    if (!sku && product.hasVariants()) {
+      continue;
+    }
+    updated = await setStock({
+      product: product._id,
+      variant: sku ? product.variants.find(variant => variant.sku === sku)._id : undefined,
+      stock,
+      reason: 'manual_edit',
+      note: 'Bulk import',
+      user
+    });
+  }
+  return updated;
+};
+
+const validationMessages = (error) => {
+  return error.errors ? Object.values(error.errors).map(item => item.message) : [error.message];
+};
+
+// Create or update products from import records, matching existing products
+// by SKU. Every record is validated on its own; valid ones are saved unless
+// `dryRun` is set. Resolves to { summary, rows } where rows report each
+// record's outcome: { row, sku, action: created|updated|failed, errors }.
+export const importProducts = async (records, { dryRun = false, user } = {}) => {
+  const skus = records
+    .map(record => (isBlank(record.sku) ? null : String(record.sku).trim().toUpperCase()))
+    .filter(Boolean);
+  const existing = new Map((await Product.find({ sku: { $in: skus } })).map(product => [product.sku, product]));
+
+  const categories = new Map();
+  const seen = new Map();
+  const summary = { total: records.length, created: 0, updated: 0, failed: 0 };
+  const rows = [];
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i] || {};
+    const row = i + 1;
+    const errors = [];
+    const data = productFields(record, errors);
+
+    if (!data.sku) {
+      errors.push('SKU is required');
+    } else if (seen.has(data.sku)) {
+      errors.push(`SKU ${data.sku} already appears in row ${seen.get(data.sku)}`);
+    } else {
+      seen.set(data.sku, row);
+    }
+
+    if (!isBlank(record.category)) {
+      const category = await resolveCategory(record.category, categories);
+      if (category) {
+        data.category = category._id;
+      } else {
+        errors.push(`Category ${record.category} not found`);
+      }
+    }
+
+    if (record.variants !== undefined && !Array.isArray(record.variants)) {
+      errors.push('Variants must be an array');
+    } else if (record.variants) {
+      record.variants.forEach((variant, index) => {
+        if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+          errors.push(`Variant ${index + 1} must be an object`);
+        }
+      });
+    }
+
+    let product = existing.get(data.sku);
+    const action = product ? 'updated' : 'created';
+    const before = product && productSnapshot(product);
+    const hadVariants = product && product.hasVariants();
+    let levels = [];
+
+    if (errors.length === 0) {
+      if (!product) {
+        product = new Product(data);
+        if (Array.isArray(record.variants)) {
+          mergeVariants(product, record.variants);
+        }
+      } else {
+        const update = splitStock(data, record.variants, errors);
+        levels = update.levels;
+        product.set(update.fields);
+        if (Array.isArray(update.variants)) {
+          mergeVariants(product, update.variants);
+        }
+      }
+
+      try {
+        await product.validate();
+      } catch (error) {
+        errors.push(...validationMessages(error));
+      }
+    }
+
+    if (errors.length === 0 && !dryRun) {
+      try {
+        if (action === 'created') {
+          await product.save();
+          await recordStockChanges(new Map(), product, {
+            type: 'restock',
+            reason: 'initial_stock',
+            note: 'Bulk import',
+            user
+          });
+        } else {
+          // The product's own stock stops counting once it has variants
+          if (!hadVariants && product.hasVariants()) {
+            await setStock({ product: product._id, stock: 0, reason: 'manual_edit', note: 'Bulk import', user });
+          }
+          await product.save();
+          const updated = await applyStockLevels(product, levels, user);
+          notifyWishlistWatchers(before, updated).catch(error => console.error('Wishlist alert error:', error));
+        }
+      } catch (error) {
+        errors.push(error.code === 11000 ? 'SKU is already in use' : error.message);
+      }
+    }
+
+    if (errors.length > 0) {
+      summary.failed++;
+      rows.push({ row, sku: data.sku, action: 'failed', errors });
+    } else {
+      summary[action]++;
+      rows.push({ row, sku: data.sku, action });
+    }
+  }
+
+  return { summary, rows };
+};
+
+const csvRecord = (product) => ({
+  ...product,
+  tags: product.tags.join(LIST_SEPARATOR),
+  images: product.images.join(LIST_SEPARATOR),
+  attributes: product.attributes.map(({ name, value }) => `${name}:${value}`).join(LIST_SEPARATOR)
+});
+
+const exportRecord = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  category: product.category ? product.category.slug : undefined,
+  stock: product.stock,
+  weight: product.weight,
+  lowStockThreshold: product.lowStockThreshold,
+  isActive: product.isActive,
+  isFeatured: product.isFeatured,
+  tags: product.tags,
+  attributes: product.attributes.map(({ name, value }) => ({ name, value })),
+  images: product.images,
+  variants: product.variants.map(variant => ({
+    sku: variant.sku,
+    options: variant.options.map(({ name, value }) => ({ name, value })),
+    price: variant.price,
+    stock: variant.stock,
+    weight: variant.weight,
+    images: variant.images,
+    isActive: variant.isActive
+  }))
+});
+
+// Stream the catalog to `res` one product at a time, in the format the
+// import reads. Variants are only included in JSON.
+export const exportProducts = async (res, format) => {
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await once(res, 'drain');
+    }
+  };
+
+  const cursor = Product.find()
+    .sort('_id')
+    .populate('category', 'slug')
+    .cursor();
+
+  if (format === 'csv') {
+    await write(csvLine(CSV_COLUMNS));
+    for await (const product of cursor) {
+      const record = csvRecord(exportRecord(product));
+      await write(csvLine(CSV_COLUMNS.map(column => record[column])));
+    }
+  } else {
+    let separator = '';
+    await write('[');
+    for await (const product of cursor) {
+      await write(`${separator}\n${JSON.stringify(exportRecord(product))}`);
+      separator = ',';
+    }
+    await write('\n]\n');
+  }
+
+  res.end();
+};
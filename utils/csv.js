@@ -0,0 +1,66 @@
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Split CSV text into rows of fields. Handles quoted fields, doubled quotes
+// and CRLF line endings; blank lines are skipped.
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw httpError('CSV has an unterminated quoted field', 400);
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(values => values.some(value => value.trim() !== ''));
+};
+
+const csvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, quoting fields that need it
+export const csvLine = (values) => `${values.map(csvField).join(',')}\n`;
+
+// A CSV document of `records` with a header row of `columns`
+export const toCsv = (columns, records) => {
+  return csvLine(columns) + records.map(record => csvLine(columns.map(column => record[column]))).join('');
+};
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// Domain events published by the API. Each carries a `data` payload:
+//   order.created         { order }
+//   order.status_changed  { order, from, to }
+//   product.stock_changed { product, name, variant, sku, type, quantity, stockAfter }
+//   product.low_stock     { product, name, variant, sku, stock, threshold }
+//   user.registered       { user }
+export const EVENT_TYPES = [
+  'order.created',
+  'order.status_changed',
+  'product.stock_changed',
+  'product.low_stock',
+  'user.registered'
+];
+
+const ALL_EVENTS = '*';
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Run `handler(event)` for events of `type`, or for every event with '*'.
+// A failing handler is logged and never affects the code that emitted the
+// event or the other handlers.
+export const onEvent = (type, handler) => {
+  bus.on(type, (event) => {
+    Promise.resolve()
+      .then(() => handler(event))
+      .catch(error => console.error(`Event handler error (${event.type}):`, error));
+  });
+};
+
+// Publish a domain event: { id, type, occurredAt, data }. Handlers run in the
+// background, so emitting never waits on them.
+export const emitEvent = (type, data) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type "${type}"`);
+  }
+
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    occurredAt: new Date(),
+    data
+  };
+  bus.emit(type, event);
+  bus.emit(ALL_EVENTS, event);
+  return event;
+};
@@ -1,8 +1,58 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
 
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Short-lived access token bound to a session
+export const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
+export const generateRefreshToken = () => {
+  return crypto.randomBytes(40).toString('hex');
+};
+
+// Open a new device session and return its access and refresh tokens
+export const issueTokens = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000)
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Replace a session's refresh token, extending its lifetime.
+// Returns null if another request rotated the same token first.
+export const rotateTokens = async (session) => {
+  const refreshToken = generateRefreshToken();
+  const result = await Session.updateOne({ _id: session._id, tokenHash: session.tokenHash }, {
+    tokenHash: hashToken(refreshToken),
+    $push: { previousTokenHashes: session.tokenHash },
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000)
+  });
+
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+
+  return {
+    token: generateToken(session.user, session._id),
+    refreshToken
+  };
+};
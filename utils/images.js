@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import Image from '../models/Image.js';
+import { storage } from './storage.js';
+
+export const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// Resized copies made of every upload: longest side in pixels. Copies are
+// never enlarged, so a small original gives copies of its own size.
+export const IMAGE_SIZES = {
+  large: 1200,
+  medium: 600,
+  thumbnail: 150
+};
+
+// The size whose URL is stored on the product or category
+const DISPLAY_SIZE = 'large';
+
+export const maxUploadBytes = () => (parseInt(process.env.UPLOAD_MAX_SIZE_MB) || 5) * 1024 * 1024;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Failing to delete a file shouldn't stop the rest; it's logged instead
+const removeFiles = async (files) => {
+  const store = await storage();
+  for (const file of files) {
+    try {
+      await store.remove(file.key);
+    } catch (error) {
+      console.error(`Image file cleanup error (${file.key}):`, error);
+    }
+  }
+};
+
+// Store an uploaded file (from multer) with its resized copies and record it
+// as an Image of `owner`. The file's content is checked, not just its
+// declared type.
+export const saveImage = async (file, { ownerType, owner, user }) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw httpError(`${file.originalname} is not a valid image`, 400);
+  }
+  const contentType = `image/${metadata.format === 'jpeg' ? 'jpeg' : metadata.format}`;
+  if (!IMAGE_TYPES[contentType]) {
+    throw httpError(`${file.originalname} must be a JPEG, PNG, WebP or GIF image`, 400);
+  }
+
+  const store = await storage();
+  const prefix = `${ownerType.toLowerCase()}s/${owner}/${crypto.randomBytes(8).toString('hex')}`;
+  const files = [];
+
+  try {
+    const originalKey = `${prefix}-original.${IMAGE_TYPES[contentType]}`;
+    files.push({
+      size: 'original',
+      key: originalKey,
+      url: await store.put(originalKey, file.buffer, contentType),
+      width: metadata.width,
+      height: metadata.height,
+      bytes: file.size
+    });
+
+    for (const [size, dimension] of Object.entries(IMAGE_SIZES)) {
+      const { data, info } = await sharp(file.buffer)
+        .rotate()
+        .resize({ width: dimension, height: dimension, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      const key = `${prefix}-${size}.webp`;
+      files.push({
+        size,
+        key,
+        url: await store.put(key, data, 'image/webp'),
+        width: info.width,
+        height: info.height,
+        bytes: info.size
+      });
+    }
+
+    return await Image.create({
+      ownerType,
+      owner,
+      url: files.find(item => item.size === DISPLAY_SIZE).url,
+      originalName: file.originalname,
+      contentType,
+      width: metadata.width,
+      height: metadata.height,
+      files,
+      uploadedBy: user
+    });
+  } catch (error) {
+    await removeFiles(files);
+    throw error;
+  }
+};
+
+// Delete images and their stored files
+export const deleteImages = async (images) => {
+  for (const image of images) {
+    await removeFiles(image.files);
+    await image.deleteOne();
+  }
+};
+
+// Delete every image uploaded for a product or category, optionally keeping
+// one. Resolves to the URLs that were removed.
+export const deleteOwnerImages = async (ownerType, owner, { except } = {}) => {
+  const filter = { ownerType, owner };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+  const images = await Image.find(filter);
+  await deleteImages(images);
+  return images.map(image => image.url);
+};
+
+// An image as returned by the API, with the URL of each size
+export const imageData = (image) => ({
+  ...image.toObject(),
+  sizes: image.sizes()
+});
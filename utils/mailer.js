@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import net from 'net';
+import path from 'path';
+
+// A transport is any object with an async `send(message)` method, where
+// message is { to, subject, text, html }.
+
+// Print messages to the server log
+const consoleTransport = {
+  async send(message) {
+    console.log(`\n[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}\n`);
+  }
+};
+
+// Write each message as a JSON file, handy for local development and tests
+const fileTransport = {
+  async send(message) {
+    const dir = process.env.MAIL_DIR || 'mail-outbox';
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+// "Name <address>" or "address" -> address
+const mailbox = (value) => {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+};
+
+// RFC 2047 encoding for headers that aren't plain ASCII
+const encodeHeader = (value) => {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+};
+
+const base64Lines = (value) => Buffer.from(value).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+// A multipart/alternative MIME message with text and HTML parts
+const mimeMessage = (message) => {
+  const boundary = `rk-${crypto.randomBytes(12).toString('hex')}`;
+  const domain = mailbox(message.from).split('@')[1] || 'localhost';
+  const part = (type, body) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(body)
+  ].join('\r\n');
+
+  return [
+    `From: ${encodeHeader(message.from)}`,
+    `To: ${message.to}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    part('text/plain', message.text || ''),
+    part('text/html', message.html || message.text || ''),
+    `--${boundary}--`
+  ].join('\r\n');
+};
+
+// Talk plain SMTP (no TLS or auth) to SMTP_HOST:SMTP_PORT. Meant for local
+// catchers such as MailHog or Mailpit, or `node smtp-stub.js`.
+const smtpTransport = {
+  send(message) {
+    const host = process.env.SMTP_HOST || 'localhost';
+    const port = parseInt(process.env.SMTP_PORT) || 1025;
+    const commands = [
+      null, // server greeting
+      `EHLO ${mailbox(message.from).split('@')[1] || 'localhost'}`,
+      `MAIL FROM:<${mailbox(message.from)}>`,
+      `RCPT TO:<${mailbox(message.to)}>`,
+      'DATA',
+      // Lines starting with a dot are escaped by doubling it
+      `${mimeMessage(message).replace(/^\./gm, '..')}\r\n.`,
+      'QUIT'
+    ];
+
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(port, host);
+      let buffer = '';
+      let step = 0;
+
+      socket.setEncoding('utf8');
+      socket.setTimeout(10000, () => socket.destroy(new Error('SMTP connection timed out')));
+      socket.on('error', reject);
+      socket.on('close', () => reject(new Error('SMTP connection closed unexpectedly')));
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        // A reply is complete once a line has a space after the code ("250 OK")
+        const lines = buffer.split('\r\n');
+        const last = lines.findIndex(line => /^\d{3} /.test(line));
+        if (last === -1) {
+          return;
+        }
+        const reply = lines.slice(0, last + 1).join('\n');
+        buffer = lines.slice(last + 1).join('\r\n');
+
+        if (!/^[23]/.test(reply)) {
+          socket.destroy();
+          return reject(new Error(`SMTP error: ${reply}`));
+        }
+        if (commands[step] === 'QUIT') {
+          socket.end();
+          return resolve();
+        }
+        step += 1;
+        socket.write(`${commands[step]}\r\n`);
+      });
+    });
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+};
+
+// Escape text such as user or product names before putting it in an HTML body
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Make a transport selectable through MAIL_TRANSPORT
+export const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport '${name}'`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || 'RK Store <no-reply@rk.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+
+// Payment provider that moves no money, for local development and tests.
+// Webhooks are signed like real providers do: an HMAC-SHA256 of
+// `${timestamp}.${rawBody}` sent as `t=<timestamp>,v1=<hex>`.
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// There is no fallback: a known secret would let anyone sign payment events
+const webhookSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+const reference = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const sign = (timestamp, rawBody) => {
+  return crypto
+    .createHmac('sha256', webhookSecret())
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+};
+
+export const mockPaymentProvider = {
+  name: 'mock',
+  signatureHeader: 'x-mock-signature',
+
+  async createPaymentIntent({ amount, currency }) {
+    const id = reference('mock_pi');
+    return {
+      id,
+      amount,
+      currency,
+      status: 'pending',
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`
+    };
+  },
+
+  async capture(intentId, amount) {
+    return { id: reference('mock_ch'), intentId, amount, status: 'succeeded' };
+  },
+
+  async refund(intentId, amount) {
+    return { id: reference('mock_re'), intentId, amount, status: 'succeeded' };
+  },
+
+  // Return the parsed event if the signature is valid, otherwise throw
+  verifyWebhook(rawBody, signature) {
+    const parts = Object.fromEntries(
+      String(signature || '').split(',').map(part => part.split('='))
+    );
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) {
+      throw new Error('Missing webhook signature');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(sign(timestamp, rawBody));
+    const received = Buffer.from(parts.v1);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(rawBody);
+  },
+
+  // Build a signed webhook request, for simulating the provider locally
+  createWebhookEvent(type, data) {
+    const body = JSON.stringify({ id: reference('mock_evt'), type, data });
+    const timestamp = Math.floor(Date.now() / 1000);
+    return { body, signature: `t=${timestamp},v1=${sign(timestamp, body)}` };
+  }
+};
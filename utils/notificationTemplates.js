@@ -0,0 +1,110 @@
+import { escapeHtml } from './mailer.js';
+import { paymentCurrency } from './payments.js';
+
+// Each template renders { subject, text, html } from { user, order }.
+// `preference` names the User.notificationPreferences switch that turns it
+// off; templates without one are always sent.
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const money = (amount) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: paymentCurrency().toUpperCase()
+}).format(amount || 0);
+
+const orderLink = (order) => `${frontendUrl()}/orders/${order._id}`;
+
+const itemName = (item) => {
+  const options = (item.options || []).map(option => option.value).join(', ');
+  return options ? `${item.name} (${options})` : item.name;
+};
+
+const formatAddress = (address) => {
+  if (!address) {
+    return [];
+  }
+  return [
+    address.name,
+    address.street,
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country
+  ].filter(Boolean);
+};
+
+// Item lines and totals of an order, as text lines and an HTML table
+const orderSummary = (order) => {
+  const totals = [
+    ['Subtotal', order.subtotal],
+    ...(order.discount ? [['Discount', -order.discount]] : []),
+    ['Shipping', order.shipping],
+    ...(order.tax ? [['Tax', order.tax]] : []),
+    ['Total', order.total]
+  ];
+
+  const text = [
+    ...order.items.map(item => `${item.quantity} x ${itemName(item)}  ${money(item.total)}`),
+    '',
+    ...totals.map(([label, amount]) => `${label}: ${money(amount)}`)
+  ].join('\n');
+
+  const html = '<table cellpadding="4">' +
+    order.items.map(item => `<tr><td>${item.quantity} &times; ${escapeHtml(itemName(item))}</td><td align="right">${money(item.total)}</td></tr>`).join('') +
+    totals.map(([label, amount]) => `<tr><td><strong>${label}</strong></td><td align="right">${money(amount)}</td></tr>`).join('') +
+    '</table>';
+
+  return { text, html };
+};
+
+// Assemble a message from paragraphs; `extra` is appended as-is ({ text, html })
+const message = (subject, user, paragraphs, extra) => ({
+  subject,
+  text: [`Hi ${user.name},`, ...paragraphs, ...(extra ? [extra.text] : [])].join('\n\n'),
+  html: [`<p>Hi ${escapeHtml(user.name)},</p>`, ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`), ...(extra ? [extra.html] : [])].join('')
+});
+
+export const NOTIFICATION_TEMPLATES = {
+  welcome: {
+    preference: null,
+    render: ({ user }) => message('Welcome to RK Store', user, [
+      'Thanks for creating an account. You can track your orders, save addresses and keep wishlists from your account page:',
+      `${frontendUrl()}/account`
+    ])
+  },
+
+  order_confirmation: {
+    preference: 'orderConfirmation',
+    render: ({ user, order }) => message(`Order ${order.orderNumber} confirmed`, user, [
+      `Thanks for your order. We have received order ${order.orderNumber} and will let you know when it ships.`,
+      `Shipping to:\n${formatAddress(order.shippingAddress).join('\n')}`,
+      `View your order: ${orderLink(order)}`
+    ], orderSummary(order))
+  },
+
+  order_shipped: {
+    preference: 'orderShipped',
+    render: ({ user, order }) => message(`Order ${order.orderNumber} has shipped`, user, [
+      `Good news: order ${order.orderNumber} is on its way${order.shippingMethod && order.shippingMethod.name ? ` with ${order.shippingMethod.name}` : ''}.`,
+      `Shipping to:\n${formatAddress(order.shippingAddress).join('\n')}`,
+      `Follow your order: ${orderLink(order)}`
+    ])
+  },
+
+  order_delivered: {
+    preference: 'orderDelivered',
+    render: ({ user, order }) => message(`Order ${order.orderNumber} was delivered`, user, [
+      `Order ${order.orderNumber} has been delivered. We hope you enjoy it!`,
+      `Something not right? You can request a return from your order page: ${orderLink(order)}`
+    ])
+  },
+
+  order_cancelled: {
+    preference: 'orderCancelled',
+    render: ({ user, order }) => message(`Order ${order.orderNumber} was cancelled`, user, [
+      `Order ${order.orderNumber} has been cancelled.`,
+      ...(order.refundedAmount > 0 ? [`A refund of ${money(order.refundedAmount)} has been issued to your original payment method.`] : []),
+      `Order details: ${orderLink(order)}`
+    ], orderSummary(order))
+  }
+};
+
+export const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_TEMPLATES);
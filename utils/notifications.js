@@ -0,0 +1,138 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { sendMail } from './mailer.js';
+import { onEvent } from './events.js';
+import { NOTIFICATION_TEMPLATES } from './notificationTemplates.js';
+
+// Transactional emails are rendered when the event happens, stored in the
+// notifications collection and sent from there, so a mail transport outage
+// only delays them. Failed sends are retried with exponential backoff until
+// NOTIFICATION_MAX_ATTEMPTS is reached.
+
+const DUE_BATCH_SIZE = 50;
+// How long a claimed notification is left alone before it counts as due again
+const CLAIM_SECONDS = 5 * 60;
+
+const maxAttempts = () => parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const retryBaseSeconds = () => parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 60;
+const pollSeconds = () => parseInt(process.env.NOTIFICATION_POLL_SECONDS) || 30;
+
+// Emails sent when an order enters a status
+const STATUS_NOTIFICATIONS = {
+  shipped: 'order_shipped',
+  delivered: 'order_delivered',
+  cancelled: 'order_cancelled'
+};
+
+// Send a queued notification and record the outcome. It is claimed first so
+// overlapping workers never send it twice. Resolves to the updated
+// notification, or null if it wasn't due.
+export const attemptNotification = async (notificationId) => {
+  const now = new Date();
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_SECONDS * 1000) } },
+    { new: true }
+  );
+  if (!notification) {
+    return null;
+  }
+
+  const attempts = notification.attempts + 1;
+  const update = { $set: { attempts } };
+  try {
+    await sendMail({
+      to: notification.to,
+      subject: notification.subject,
+      text: notification.text,
+      html: notification.html
+    });
+    update.$set.status = 'sent';
+    update.$set.sentAt = new Date();
+    update.$unset = { nextAttemptAt: 1, lastError: 1 };
+  } catch (error) {
+    update.$set.lastError = error.message;
+    if (attempts >= maxAttempts()) {
+      update.$set.status = 'failed';
+      update.$unset = { nextAttemptAt: 1 };
+      console.error(`Notification ${notification._id} (${notification.type}) failed:`, error.message);
+    } else {
+      update.$set.nextAttemptAt = new Date(Date.now() + retryBaseSeconds() * 1000 * 2 ** (attempts - 1));
+    }
+  }
+
+  return Notification.findByIdAndUpdate(notification._id, update, { new: true });
+};
+
+// Render a notification for a user and send it, unless the account is
+// inactive or the user turned this kind of email off. `data` holds what the
+// template needs besides the user (e.g. { order }).
+export const notify = async (type, userId, data = {}) => {
+  const template = NOTIFICATION_TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification type '${type}'`);
+  }
+
+  const user = await User.findById(userId).select('name email isActive notificationPreferences');
+  if (!user || !user.isActive) {
+    return null;
+  }
+  if (template.preference && !user.wantsNotification(template.preference)) {
+    return null;
+  }
+
+  const notification = await Notification.create({
+    user: user._id,
+    type,
+    order: data.order ? data.order._id : undefined,
+    to: user.email,
+    ...template.render({ user, ...data }),
+    nextAttemptAt: new Date()
+  });
+  return attemptNotification(notification._id);
+};
+
+// Send a notification again now, e.g. after it failed for good. It gets a
+// fresh set of retries.
+export const resendNotification = async (notification) => {
+  await Notification.updateOne(
+    { _id: notification._id },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } }
+  );
+  return attemptNotification(notification._id);
+};
+
+const retryDueNotifications = async () => {
+  const due = await Notification.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort('nextAttemptAt')
+    .limit(DUE_BATCH_SIZE)
+    .select('_id');
+  for (const notification of due) {
+    await attemptNotification(notification._id);
+  }
+};
+
+// The order's user may be populated or just an id
+const orderUser = (order) => order.user._id || order.user;
+
+let worker;
+
+// Send emails for domain events from now on, and retry failed sends every
+// NOTIFICATION_POLL_SECONDS. Called once the database is connected.
+export const startNotifications = () => {
+  if (worker) {
+    return;
+  }
+
+  onEvent('user.registered', ({ data }) => notify('welcome', data.user.id));
+  onEvent('order.created', ({ data }) => notify('order_confirmation', orderUser(data.order), { order: data.order }));
+  onEvent('order.status_changed', ({ data }) => {
+    const type = STATUS_NOTIFICATIONS[data.to];
+    return type ? notify(type, orderUser(data.order), { order: data.order }) : null;
+  });
+
+  worker = setInterval(() => {
+    retryDueNotifications().catch(error => console.error('Notification retry error:', error));
+  }, pollSeconds() * 1000);
+  worker.unref();
+};
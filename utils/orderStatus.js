@@ -0,0 +1,93 @@
+import Order from '../models/Order.js';
+import { releaseStock, groupItems } from './stock.js';
+import { releaseCoupon } from './promotions.js';
+import { refundOrder } from './payments.js';
+import { emitEvent } from './events.js';
+
+// Payment methods settled when the goods are handed over
+const OFFLINE_PAYMENT_METHODS = ['cash_on_delivery', 'bank_transfer'];
+
+// Timestamp recorded when an order enters a status
+const STATUS_DATES = {
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt'
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Side effects of entering a status
+const onCancelled = async (order, user) => {
+  await releaseStock(groupItems(order.items), { type: 'cancellation', order: order._id, user });
+  if (order.coupon) {
+    await releaseCoupon(order.coupon);
+  }
+  if (order.paymentStatus === 'paid') {
+    try {
+      return await refundOrder(order, { user });
+    } catch (error) {
+      // The cancellation stands; the failed refund is in the payment log
+      console.error(`Refund for cancelled order ${order.orderNumber} failed:`, error.message);
+    }
+  }
+  return order;
+};
+
+const onDelivered = async (order) => {
+  if (OFFLINE_PAYMENT_METHODS.includes(order.paymentMethod) && order.paymentStatus === 'pending') {
+    return Order.findByIdAndUpdate(
+      order._id,
+      { paymentStatus: 'paid', paidAt: new Date() },
+      { new: true }
+    );
+  }
+  return order;
+};
+
+const STATUS_HOOKS = {
+  cancelled: onCancelled,
+  delivered: onDelivered
+};
+
+// Move an order to a new status if the transition is allowed, record it in
+// the status history and run the hooks for the new status. The update is
+// conditional on the current status, so concurrent changes cannot both apply.
+export const changeOrderStatus = async (order, status, { user, reason } = {}) => {
+  if (!order.canTransitionTo(status)) {
+    throw httpError(`Cannot change order status from '${order.status}' to '${status}'`, 400);
+  }
+
+  const update = {
+    $set: { status },
+    $push: {
+      statusHistory: {
+        status,
+        from: order.status,
+        changedBy: user,
+        reason,
+        changedAt: new Date()
+      }
+    }
+  };
+  if (STATUS_DATES[status]) {
+    update.$set[STATUS_DATES[status]] = new Date();
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError('Order status was changed by another request, please retry', 409);
+  }
+
+  const hook = STATUS_HOOKS[status];
+  const result = hook ? await hook(updated, user) : updated;
+  emitEvent('order.status_changed', { order: result, from: order.status, to: status });
+  return result;
+};
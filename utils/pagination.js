@@ -0,0 +1,197 @@
+// Shared pagination for list endpoints.
+//
+// Lists are paged with opaque cursors by default (?limit=20&cursor=...), which
+// stay stable while documents are added or removed. ?page=N is still accepted
+// for numbered pages. Sorting is limited to the fields each resource allows,
+// e.g. ?sort=-price,name; _id is always appended as a tie-breaker so every
+// position in the list is unique.
+
+const paginationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseLimit = (value, defaultLimit, maxLimit) => {
+  if (value === undefined) {
+    return defaultLimit;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw paginationError(`Limit must be between 1 and ${maxLimit}`);
+  }
+  return limit;
+};
+
+// [{ field, direction }] from "-price,name", ending with the _id tie-breaker
+const parseSort = (value, sortable, defaultSort) => {
+  const keys = String(value || defaultSort)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const field = item.replace(/^-/, '');
+      if (!sortable.includes(field)) {
+        throw paginationError(`Cannot sort by '${field}'. Sortable fields: ${sortable.join(', ')}`);
+      }
+      return { field, direction: item.startsWith('-') ? -1 : 1 };
+    });
+
+  if (keys.length === 0) {
+    throw paginationError('Sort cannot be empty');
+  }
+  if (!keys.some(key => key.field === '_id')) {
+    keys.push({ field: '_id', direction: keys[keys.length - 1].direction });
+  }
+  return keys;
+};
+
+const sortString = (keys) => keys.map(key => `${key.direction < 0 ? '-' : ''}${key.field}`).join(',');
+
+const encodeCursor = (doc, keys, direction) => {
+  const payload = {
+    s: sortString(keys),
+    d: direction,
+    v: keys.map(key => doc.get(key.field))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, model, keys) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    throw paginationError('Invalid cursor');
+  }
+
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== keys.length ||
+    !['next', 'prev'].includes(payload.d)) {
+    throw paginationError('Invalid cursor');
+  }
+  // A cursor points into one particular ordering of the list
+  if (payload.s !== sortString(keys)) {
+    throw paginationError('Cursor does not match the requested sort');
+  }
+
+  try {
+    return {
+      direction: payload.d,
+      values: keys.map((key, index) => model.schema.path(key.field).cast(payload.v[index]))
+    };
+  } catch (error) {
+    throw paginationError('Invalid cursor');
+  }
+};
+
+// Documents strictly after (or before) the cursor position in sort order
+const keysetCondition = (keys, values, forward) => ({
+  $or: keys.map((key, index) => {
+    const condition = {};
+    keys.slice(0, index).forEach((previous, previousIndex) => {
+      condition[previous.field] = values[previousIndex];
+    });
+    const ascending = (key.direction === 1) === forward;
+    condition[key.field] = { [ascending ? '$gt' : '$lt']: values[index] };
+    return condition;
+  })
+});
+
+// The current URL with some query parameters replaced (null removes one)
+const linkTo = (req, params) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  for (const [name, value] of Object.entries(params)) {
+    if (value === null || value === undefined) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, value);
+    }
+  }
+  return `${url.pathname}${url.search}`;
+};
+
+// Page through `model` documents matching `filter` according to the request's
+// sort, limit and cursor/page parameters. Resolves to { data, meta, links }.
+// Throws errors with statusCode 400 for invalid parameters.
+export const paginate = async (model, filter, req, {
+  sortable,
+  defaultSort = '-createdAt',
+  defaultLimit = 20,
+  maxLimit = 100,
+  populate,
+  select
+}) => {
+  const limit = parseLimit(req.query.limit, defaultLimit, maxLimit);
+  const keys = parseSort(req.query.sort, [...sortable, '_id'], defaultSort);
+  const sort = sortString(keys);
+
+  const find = (conditions) => {
+    const query = model.find(conditions);
+    if (select) query.select(select);
+    if (populate) query.populate(populate);
+    return query;
+  };
+
+  const total = await model.countDocuments(filter);
+
+  // Numbered pages
+  if (req.query.page !== undefined) {
+    const page = Number(req.query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      throw paginationError('Page must be a positive integer');
+    }
+
+    const data = await find(filter).sort(sort).skip((page - 1) * limit).limit(limit);
+    const pages = Math.ceil(total / limit);
+
+    return {
+      data,
+      meta: { total, limit, sort, page, pages },
+      links: {
+        self: linkTo(req, { cursor: null }),
+        first: linkTo(req, { cursor: null, page: 1 }),
+        prev: page > 1 ? linkTo(req, { cursor: null, page: page - 1 }) : null,
+        next: page < pages ? linkTo(req, { cursor: null, page: page + 1 }) : null,
+        last: linkTo(req, { cursor: null, page: Math.max(pages, 1) })
+      }
+    };
+  }
+
+  // Cursor pages: fetch one extra document to know whether more follow
+  let forward = true;
+  let conditions = filter;
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor, model, keys);
+    forward = cursor.direction === 'next';
+    conditions = {
+      ...filter,
+      $and: [...(filter.$and || []), keysetCondition(keys, cursor.values, forward)]
+    };
+  }
+
+  const querySort = forward ? sort : sortString(keys.map(key => ({ ...key, direction: -key.direction })));
+  let data = await find(conditions).sort(querySort).limit(limit + 1);
+  const hasMore = data.length > limit;
+  data = data.slice(0, limit);
+  if (!forward) {
+    data.reverse();
+  }
+
+  // Paging backwards means there is a next page, and forwards from a cursor
+  // means there is a previous one
+  const hasNextPage = forward ? hasMore : true;
+  const hasPrevPage = forward ? Boolean(req.query.cursor) : hasMore;
+  const nextCursor = hasNextPage && data.length > 0 ? encodeCursor(data[data.length - 1], keys, 'next') : null;
+  const prevCursor = hasPrevPage && data.length > 0 ? encodeCursor(data[0], keys, 'prev') : null;
+
+  return {
+    data,
+    meta: { total, limit, sort, hasNextPage, hasPrevPage, nextCursor, prevCursor },
+    links: {
+      self: linkTo(req, { page: null }),
+      first: linkTo(req, { page: null, cursor: null }),
+      prev: prevCursor ? linkTo(req, { page: null, cursor: prevCursor }) : null,
+      next: nextCursor ? linkTo(req, { page: null, cursor: nextCursor }) : null
+    }
+  };
+};
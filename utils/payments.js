@@ -0,0 +1,157 @@
+import Order from '../models/Order.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import { mockPaymentProvider } from './mockPaymentProvider.js';
+import { roundMoney } from './pricing.js';
+
+// A provider has a `name` and `signatureHeader` and implements
+// createPaymentIntent({ amount, currency, orderId }),
+// capture(intentId, amount), refund(intentId, amount) and
+// verifyWebhook(rawBody, signature). Webhook events have the shape
+// { id, type, data: { intentId, amount, refundId? } } with type one of
+// WEBHOOK_EVENTS.
+
+export const WEBHOOK_EVENTS = ['payment.succeeded', 'payment.failed', 'refund.succeeded'];
+
+// Payment methods settled through the provider (others are paid offline)
+export const ONLINE_PAYMENT_METHODS = ['credit_card', 'debit_card', 'paypal'];
+
+const providers = {
+  mock: mockPaymentProvider
+};
+
+export const registerPaymentProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const isDevelopment = () => (process.env.NODE_ENV || 'development') === 'development';
+
+// The mock provider is only picked by default in development, so a deployment
+// that forgets PAYMENT_PROVIDER does not accept payments that move no money
+export const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || (isDevelopment() ? 'mock' : null);
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not set');
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider '${name}'`);
+  }
+  return provider;
+};
+
+// Throw unless payments are configured well enough to trust webhooks. Stores
+// that only take offline payments can run without any of this.
+export const checkPaymentConfig = () => {
+  getPaymentProvider();
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+};
+
+export const paymentCurrency = () => (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Cancelled orders are never marked paid
+export const markOrderPaid = (orderId) => {
+  return Order.findOneAndUpdate(
+    { _id: orderId, paymentStatus: { $in: ['pending', 'failed'] }, status: { $ne: 'cancelled' } },
+    { paymentStatus: 'paid', paidAt: new Date() },
+    { new: true }
+  );
+};
+
+export const markOrderPaymentFailed = (orderId) => {
+  return Order.findOneAndUpdate(
+    { _id: orderId, paymentStatus: 'pending' },
+    { paymentStatus: 'failed' },
+    { new: true }
+  );
+};
+
+// Count a refund on the order, unless it would take the refunds past the
+// order total (e.g. because another refund got there first); fully refunded
+// orders are marked so. Resolves to the updated order, or null when the
+// refund does not fit.
+export const applyRefund = async (order, amount) => {
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, refundedAmount: { $lte: roundMoney(order.total - amount) } },
+    { $inc: { refundedAmount: amount } },
+    { new: true }
+  );
+  if (updated && updated.refundedAmount >= updated.total) {
+    return Order.findByIdAndUpdate(updated._id, { paymentStatus: 'refunded' }, { new: true });
+  }
+  return updated;
+};
+
+// Give back a refund counted by applyRefund that the provider did not make
+const undoRefund = (orderId, amount) => {
+  return Order.findByIdAndUpdate(
+    orderId,
+    { $inc: { refundedAmount: -amount }, paymentStatus: 'paid' },
+    { new: true }
+  );
+};
+
+// Refund part or all of a paid order through its provider.
+// `amount` defaults to whatever has not been refunded yet. The amount is
+// counted on the order before the provider is asked, so concurrent refunds
+// can never add up to more than the order total.
+export const refundOrder = async (order, { amount, user } = {}) => {
+  if (order.paymentStatus !== 'paid') {
+    throw httpError('Only paid orders can be refunded', 400);
+  }
+
+  const refundable = roundMoney(order.total - order.refundedAmount);
+  const refundAmount = amount != null ? Number(amount) : refundable;
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw httpError(`Refund amount must be between 0 and ${refundable}`, 400);
+  }
+
+  const transaction = {
+    order: order._id,
+    type: 'refund',
+    intentId: order.payment && order.payment.intentId,
+    amount: refundAmount,
+    currency: paymentCurrency(),
+    user
+  };
+  const provider = transaction.intentId ? getPaymentProvider() : null;
+
+  const refunded = await applyRefund(order, refundAmount);
+  if (!refunded) {
+    throw httpError('Order was refunded by another request, please retry', 409);
+  }
+
+  // Orders paid offline (e.g. cash on delivery) are refunded offline too
+  if (!transaction.intentId) {
+    await PaymentTransaction.create({ ...transaction, provider: 'manual', status: 'succeeded' });
+    return refunded;
+  }
+
+  try {
+    const result = await provider.refund(transaction.intentId, refundAmount);
+    await PaymentTransaction.create({
+      ...transaction,
+      provider: provider.name,
+      reference: result.id,
+      status: result.status
+    });
+    // Pending refunds stay counted; their webhook is then recognised by reference
+    return result.status === 'failed' ? undoRefund(order._id, refundAmount) : refunded;
+  } catch (error) {
+    await undoRefund(order._id, refundAmount);
+    await PaymentTransaction.create({
+      ...transaction,
+      provider: provider.name,
+      status: 'failed',
+      error: error.message
+    });
+    throw httpError(`Refund failed: ${error.message}`, 502);
+  }
+};
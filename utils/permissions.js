@@ -0,0 +1,82 @@
+// Every permission a route can require. `*` grants all of them.
+export const PERMISSIONS = [
+  'products:write',
+  'categories:write',
+  'inventory:read',
+  'inventory:write',
+  'coupons:read',
+  'coupons:write',
+  'taxes:read',
+  'taxes:write',
+  'shipping:write',
+  'orders:read',
+  'orders:update',
+  'orders:refund',
+  'orders:delete',
+  'analytics:read',
+  'returns:read',
+  'returns:write',
+  'reviews:moderate',
+  'users:read',
+  'users:write',
+  'users:manage',
+  'users:delete',
+  'roles:read',
+  'roles:write',
+  'roles:assign',
+  'webhooks:read',
+  'webhooks:write',
+  'notifications:read',
+  'notifications:write'
+];
+
+export const WILDCARD_PERMISSION = '*';
+
+// Roles created on startup if they don't exist yet
+export const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to every resource',
+    permissions: [WILDCARD_PERMISSION]
+  },
+  {
+    name: 'user',
+    description: 'Customer account',
+    permissions: []
+  },
+  {
+    name: 'catalog_manager',
+    description: 'Manages products, categories and inventory',
+    permissions: ['products:write', 'categories:write', 'inventory:read', 'inventory:write']
+  },
+  {
+    name: 'order_fulfiller',
+    description: 'Processes and ships orders',
+    permissions: ['orders:read', 'orders:update', 'returns:read', 'returns:write', 'inventory:read']
+  },
+  {
+    name: 'support_agent',
+    description: 'Assists customers with orders and accounts',
+    permissions: [
+      'orders:read',
+      'orders:refund',
+      'returns:read',
+      'returns:write',
+      'reviews:moderate',
+      'users:read',
+      'notifications:read',
+      'notifications:write'
+    ]
+  },
+  {
+    name: 'auditor',
+    description: 'Read-only access to orders, inventory, analytics, users and roles',
+    permissions: ['orders:read', 'returns:read', 'inventory:read', 'analytics:read', 'users:read', 'roles:read']
+  }
+];
+
+export const DEFAULT_ROLE = 'user';
+
+export const grants = (permissions, permission) => {
+  return permissions.includes(WILDCARD_PERMISSION) || permissions.includes(permission);
+};
@@ -0,0 +1,150 @@
+import Product from '../models/Product.js';
+import TaxRule from '../models/TaxRule.js';
+import ShippingMethod from '../models/ShippingMethod.js';
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normalize = (value) => (value ? String(value).trim().toUpperCase() : '');
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Pricing lines for cart items, which may or may not have products populated:
+// { product, variant, category, price, quantity, weight }
+export const cartLines = async (cart) => {
+  const ids = cart.items.map(item => item.product._id || item.product);
+  const products = await Product.find({ _id: { $in: ids } }).select('category weight variants');
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  return cart.items.map(item => {
+    const id = item.product._id || item.product;
+    const product = productMap.get(id.toString());
+    const variant = product && product.findVariant(item.variant);
+    return {
+      product: id,
+      variant: item.variant,
+      category: product && product.category,
+      price: item.price,
+      quantity: item.quantity,
+      weight: product ? product.weightFor(variant) : 0
+    };
+  });
+};
+
+const matchesZone = (zone, country, state) => {
+  return (zone.countries.length === 0 || zone.countries.includes(country)) &&
+    (zone.states.length === 0 || zone.states.includes(state));
+};
+
+// Cost of a shipping method for an address, or null if it does not ship there
+export const shippingCost = (method, { address, subtotal, weight }) => {
+  let { rate, ratePerKg } = method;
+
+  if (method.zones.length > 0) {
+    const zone = method.zones.find(z => matchesZone(z, normalize(address.country), normalize(address.state)));
+    if (!zone) {
+      return null;
+    }
+    if (zone.rate != null) rate = zone.rate;
+    if (zone.ratePerKg != null) ratePerKg = zone.ratePerKg;
+  }
+
+  switch (method.type) {
+    case 'weight_based':
+      return roundMoney(rate + ratePerKg * weight);
+    case 'free_over_threshold':
+      return method.freeOver != null && subtotal >= method.freeOver ? 0 : roundMoney(rate);
+    default:
+      return roundMoney(rate);
+  }
+};
+
+// Active shipping methods that deliver to an address, cheapest first
+export const shippingOptions = async ({ address, subtotal, weight }) => {
+  const methods = await ShippingMethod.find({ isActive: true });
+  return methods
+    .map(method => ({
+      code: method.code,
+      name: method.name,
+      description: method.description,
+      cost: shippingCost(method, { address, subtotal, weight })
+    }))
+    .filter(option => option.cost !== null)
+    .sort((a, b) => a.cost - b.cost);
+};
+
+// Higher is more specific: a state match outranks a category match
+const ruleScore = (rule) => (rule.state ? 2 : 0) + (rule.category ? 1 : 0);
+
+const findTaxRule = (rules, state, category) => {
+  return rules
+    .filter(rule =>
+      (!rule.state || rule.state === state) &&
+      (!rule.category || (category && rule.category.equals(category)))
+    )
+    .sort((a, b) => ruleScore(b) - ruleScore(a))[0];
+};
+
+// Tax on the lines after spreading the discount over them proportionally.
+// `tax` is added to the total; `includedTax` is already part of the prices.
+export const calculateTax = async (lines, { address, discount = 0 }) => {
+  const rules = await TaxRule.find({ isActive: true, country: normalize(address.country) });
+  const state = normalize(address.state);
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  let tax = 0;
+  let includedTax = 0;
+
+  for (const line of lines) {
+    const lineTotal = line.price * line.quantity;
+    const net = subtotal > 0 ? lineTotal - discount * lineTotal / subtotal : 0;
+    const rule = findTaxRule(rules, state, line.category);
+    if (!rule) {
+      continue;
+    }
+
+    if (rule.priceIncludesTax) {
+      includedTax += net - net / (1 + rule.rate / 100);
+    } else {
+      tax += net * rule.rate / 100;
+    }
+  }
+
+  return { tax: roundMoney(tax), includedTax: roundMoney(includedTax) };
+};
+
+// Full price breakdown for a set of lines shipped to an address. Uses the
+// requested shipping method, or the cheapest available one.
+export const quote = async (lines, { address, shippingMethod, discount = 0, freeShipping = false }) => {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const weight = lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0);
+  const options = await shippingOptions({ address, subtotal: subtotal - discount, weight });
+
+  let selected = options[0];
+  if (shippingMethod) {
+    selected = options.find(option => option.code === String(shippingMethod).toLowerCase());
+    if (!selected) {
+      throw httpError('Shipping method is not available for this address', 400);
+    }
+  } else if (!selected && await ShippingMethod.exists({ isActive: true })) {
+    // Nothing configured means shipping is free; configured but none match
+    // means we cannot deliver there
+    throw httpError('No shipping method is available for this address', 400);
+  }
+
+  const shipping = freeShipping || !selected ? 0 : selected.cost;
+  const { tax, includedTax } = await calculateTax(lines, { address, discount });
+
+  return {
+    subtotal,
+    discount,
+    tax,
+    includedTax,
+    shipping,
+    shippingMethod: selected ? { code: selected.code, name: selected.name } : undefined,
+    shippingOptions: options,
+    total: roundMoney(Math.max(subtotal - discount, 0) + tax + shipping)
+  };
+};
@@ -0,0 +1,126 @@
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+import { cartLines } from './pricing.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const isEligibleLine = (coupon, line) => {
+  const hasProductScope = coupon.products.length > 0;
+  const hasCategoryScope = coupon.categories.length > 0;
+  if (!hasProductScope && !hasCategoryScope) {
+    return true;
+  }
+  return (hasProductScope && coupon.products.some(id => id.equals(line.product))) ||
+    (hasCategoryScope && coupon.categories.some(id => id.equals(line.category)));
+};
+
+// Compute the discount a coupon gives on a set of lines, where each line is
+// { product, category, price, quantity }
+export const calculateDiscount = (coupon, lines) => {
+  const eligible = lines.filter(line => isEligibleLine(coupon, line));
+  const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  let discount = 0;
+
+  switch (coupon.type) {
+    case 'percentage':
+      discount = eligibleSubtotal * coupon.value / 100;
+      if (coupon.maxDiscount != null) {
+        discount = Math.min(discount, coupon.maxDiscount);
+      }
+      break;
+    case 'fixed':
+      discount = coupon.value;
+      break;
+    case 'buy_x_get_y': {
+      // In every group of buy + get units, the cheapest `get` units are free
+      const unitPrices = eligible
+        .flatMap(line => Array(line.quantity).fill(line.price))
+        .sort((a, b) => a - b);
+      const groups = Math.floor(unitPrices.length / (coupon.buyQuantity + coupon.getQuantity));
+      discount = unitPrices
+        .slice(0, groups * coupon.getQuantity)
+        .reduce((sum, price) => sum + price, 0);
+      break;
+    }
+    default:
+      discount = 0;
+  }
+
+  return {
+    discount: round(Math.min(discount, eligibleSubtotal)),
+    freeShipping: coupon.type === 'free_shipping' && eligible.length > 0
+  };
+};
+
+// Return why a coupon cannot be used right now, or null if it can
+export const couponIneligibility = async (coupon, { userId, subtotal }) => {
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    return 'Coupon is not valid';
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return 'Coupon is not active yet';
+  }
+  if (coupon.endsAt && coupon.endsAt < now) {
+    return 'Coupon has expired';
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return 'Coupon usage limit has been reached';
+  }
+  if (subtotal < coupon.minSubtotal) {
+    return `A minimum spend of ${coupon.minSubtotal} is required for this coupon`;
+  }
+  if (coupon.usageLimitPerUser && userId) {
+    const used = await Order.countDocuments({
+      user: userId,
+      coupon: coupon._id,
+      status: { $ne: 'cancelled' }
+    });
+    if (used >= coupon.usageLimitPerUser) {
+      return 'You have already used this coupon';
+    }
+  }
+  return null;
+};
+
+export const findCouponByCode = (code) => {
+  return Coupon.findOne({ code: String(code).toUpperCase().trim() });
+};
+
+// Count one use of a coupon; false if the global limit was reached meanwhile
+export const redeemCoupon = async (coupon) => {
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+  const result = await Coupon.updateOne(filter, { $inc: { usedCount: 1 } });
+  return result.modifiedCount === 1;
+};
+
+export const releaseCoupon = (couponId) => {
+  return Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
+
+// Recompute the discount from the cart's coupon. Returns the reason the
+// coupon does not apply (the discount is then zero), or null.
+export const applyCartCoupon = async (cart, userId) => {
+  cart.discount = 0;
+  if (!cart.coupon) {
+    return null;
+  }
+
+  const coupon = await Coupon.findById(cart.coupon);
+  const subtotal = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const reason = await couponIneligibility(coupon, { userId, subtotal });
+  if (reason) {
+    return reason;
+  }
+
+  const { discount } = calculateDiscount(coupon, await cartLines(cart));
+  cart.discount = discount;
+  return null;
+};
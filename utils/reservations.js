@@ -0,0 +1,60 @@
+import Product from '../models/Product.js';
+import StockReservation from '../models/StockReservation.js';
+import { groupItems, reservedQuantity, availableToSell } from './stock.js';
+
+export const reservationMinutes = () => parseInt(process.env.CHECKOUT_RESERVATION_MINUTES) || 15;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const releaseReservations = (userId) => {
+  return StockReservation.deleteMany({ user: userId });
+};
+
+// Hold stock for the lines a user is checking out, replacing any hold they
+// already had. Either every line is held or none is.
+export const reserveCheckout = async (userId, items) => {
+  await releaseReservations(userId);
+
+  const expiresAt = new Date(Date.now() + reservationMinutes() * 60 * 1000);
+  const lines = groupItems(items);
+
+  try {
+    for (const line of lines) {
+      const product = await Product.findById(line.product);
+      const variant = product && product.findVariant(line.variant);
+      if (!product || !product.isActive || (line.variant && (!variant || !variant.isActive))) {
+        throw httpError('Product is not available', 400);
+      }
+      if (!line.variant && product.hasVariants()) {
+        throw httpError(`Please select a variant of ${product.name}`, 400);
+      }
+      if (await availableToSell(product, variant, userId) < line.quantity) {
+        throw httpError(`Insufficient stock for ${product.name}${variant ? ` (${variant.sku})` : ''}`, 400);
+      }
+
+      await StockReservation.create({
+        user: userId,
+        product: product._id,
+        variant: variant ? variant._id : undefined,
+        quantity: line.quantity,
+        expiresAt
+      });
+
+      // Another checkout may have reserved the same stock in the meantime;
+      // whoever finds the stock oversubscribed backs off
+      const stock = variant ? variant.stock : product.stock;
+      if (await reservedQuantity(product._id, variant && variant._id) > stock) {
+        throw httpError(`Insufficient stock for ${product.name}${variant ? ` (${variant.sku})` : ''}`, 400);
+      }
+    }
+  } catch (error) {
+    await releaseReservations(userId);
+    throw error;
+  }
+
+  return StockReservation.find({ user: userId });
+};
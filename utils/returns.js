@@ -0,0 +1,216 @@
+import ReturnRequest from '../models/ReturnRequest.js';
+import Order from '../models/Order.js';
+import { releaseStock, groupItems } from './stock.js';
+import { refundOrder } from './payments.js';
+import { roundMoney } from './pricing.js';
+
+// Returns whose items no longer count against what can be returned
+const CLOSED_WITHOUT_RETURN = ['rejected', 'cancelled'];
+
+export const returnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// What the customer paid for `quantity` units of an order line: the line's
+// share of the order discount is taken off and its share of the tax added.
+// Shipping is not refunded.
+export const lineRefundAmount = (order, orderItem, quantity) => {
+  const lineTotal = orderItem.price * quantity;
+  if (order.subtotal <= 0) {
+    return 0;
+  }
+  const share = lineTotal / order.subtotal;
+  return roundMoney(lineTotal - order.discount * share + order.tax * share);
+};
+
+// Quantity of each order line (by line _id) that can still be returned,
+// counted from the order's return requests
+export const returnableQuantities = async (order) => {
+  const remaining = new Map(order.items.map(item => [item._id.toString(), item.quantity]));
+  const returns = await ReturnRequest.find({
+    order: order._id,
+    status: { $nin: CLOSED_WITHOUT_RETURN }
+  }).select('items.orderItem items.quantity');
+
+  for (const rma of returns) {
+    for (const item of rma.items) {
+      const key = item.orderItem.toString();
+      remaining.set(key, (remaining.get(key) || 0) - item.quantity);
+    }
+  }
+  return remaining;
+};
+
+// Orders placed before items.returnedQuantity existed have it counted from
+// their return requests, once
+const backfillReturnedQuantities = async (order) => {
+  const missing = await Order.exists({ _id: order._id, 'items.returnedQuantity': { $exists: false } });
+  if (!missing) {
+    return;
+  }
+  const remaining = await returnableQuantities(order);
+  const set = {};
+  order.items.forEach((item, index) => {
+    set[`items.${index}.returnedQuantity`] = item.quantity - remaining.get(item._id.toString());
+  });
+  await Order.updateOne({ _id: order._id, 'items.returnedQuantity': { $exists: false } }, { $set: set });
+};
+
+// Quantity of each order line (by line _id) in a list of return items
+const quantitiesByLine = (items) => {
+  const quantities = new Map();
+  for (const item of items) {
+    const key = item.orderItem.toString();
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+  }
+  return quantities;
+};
+
+// Give back the quantities of return items to their order lines
+export const releaseReturnQuantities = async (orderId, items) => {
+  for (const [orderItem, quantity] of quantitiesByLine(items)) {
+    await Order.updateOne(
+      { _id: orderId, 'items._id': orderItem },
+      { $inc: { 'items.$.returnedQuantity': -quantity } }
+    );
+  }
+};
+
+// Take the quantities of return items off their order lines. Each line is
+// only incremented while enough of it is left, so concurrent requests cannot
+// return the same units twice; if a line falls short, the lines already
+// taken are given back and the request is refused.
+export const reserveReturnQuantities = async (order, items) => {
+  await backfillReturnedQuantities(order);
+
+  const reserved = [];
+  for (const [orderItem, quantity] of quantitiesByLine(items)) {
+    const line = order.items.id(orderItem);
+    const result = await Order.updateOne(
+      {
+        _id: order._id,
+        items: { $elemMatch: { _id: line._id, returnedQuantity: { $lte: line.quantity - quantity } } }
+      },
+      { $inc: { 'items.$.returnedQuantity': quantity } }
+    );
+
+    if (result.modifiedCount === 0) {
+      await releaseReturnQuantities(order._id, reserved);
+      const current = await Order.findById(order._id).select('items');
+      const available = line.quantity - current.items.id(orderItem).returnedQuantity;
+      throw httpError(`Only ${Math.max(available, 0)} of ${line.name} can be returned`, 400);
+    }
+    reserved.push({ orderItem, quantity });
+  }
+};
+
+// Check a customer's requested lines against the order and build the
+// return items, or throw with the reason they cannot be returned. What is
+// still returnable is checked when the quantities are reserved.
+const buildReturnItems = (order, requested) => {
+  if (order.status !== 'delivered') {
+    throw httpError('Only delivered orders can be returned', 400);
+  }
+  const deliveredAt = order.deliveredAt || order.updatedAt;
+  const windowEnd = new Date(deliveredAt.getTime() + returnWindowDays() * 24 * 60 * 60 * 1000);
+  if (windowEnd < new Date()) {
+    throw httpError(`Returns are accepted within ${returnWindowDays()} days of delivery`, 400);
+  }
+
+  return requested.map(line => {
+    const orderItem = order.items.id(line.orderItem);
+    if (!orderItem) {
+      throw httpError(`Order line ${line.orderItem} not found`, 400);
+    }
+
+    return {
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      variant: orderItem.variant,
+      name: orderItem.name,
+      quantity: line.quantity,
+      reason: line.reason,
+      comment: line.comment,
+      refundAmount: lineRefundAmount(order, orderItem, line.quantity)
+    };
+  });
+};
+
+// Open a return request for a customer's requested lines of an order
+export const openReturnRequest = async (order, requested, user) => {
+  const items = buildReturnItems(order, requested);
+  await reserveReturnQuantities(order, items);
+
+  try {
+    return await ReturnRequest.create({
+      order: order._id,
+      user,
+      items,
+      statusHistory: [{ status: 'requested', changedBy: user }]
+    });
+  } catch (error) {
+    await releaseReturnQuantities(order._id, items);
+    throw error;
+  }
+};
+
+// Move a return to a new status if the transition is allowed and record it.
+// Receiving can put the items back into stock; refunding pays the customer
+// back through the order's payment and is undone if the refund fails.
+export const changeReturnStatus = async (rma, status, { user, reason, restock = false } = {}) => {
+  if (!rma.canTransitionTo(status)) {
+    throw httpError(`Cannot change return status from '${rma.status}' to '${status}'`, 400);
+  }
+
+  const set = { status };
+  if (status === 'refunded') {
+    set.refundedAt = new Date();
+  }
+
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: rma._id, status: rma.status },
+    {
+      $set: set,
+      $push: { statusHistory: { status, from: rma.status, changedBy: user, reason, changedAt: new Date() } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError('Return status was changed by another request, please retry', 409);
+  }
+
+  // Rejected and cancelled returns leave their items returnable again
+  if (CLOSED_WITHOUT_RETURN.includes(status)) {
+    await releaseReturnQuantities(updated.order, updated.items);
+  }
+
+  if (status === 'received' && restock) {
+    await releaseStock(groupItems(updated.items), {
+      type: 'return',
+      order: updated.order,
+      returnRequest: updated._id,
+      user
+    });
+    updated.items.forEach(item => { item.restocked = true; });
+    await updated.save();
+  }
+
+  if (status === 'refunded') {
+    try {
+      const order = await Order.findById(updated.order);
+      await refundOrder(order, { amount: updated.refundAmount, user });
+    } catch (error) {
+      await ReturnRequest.updateOne(
+        { _id: updated._id, status: 'refunded' },
+        { $set: { status: rma.status }, $unset: { refundedAt: 1 }, $pop: { statusHistory: 1 } }
+      );
+      throw error;
+    }
+  }
+
+  return updated;
+};
@@ -0,0 +1,136 @@
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+
+// Lower bounds of the price ranges counted in search facets; the last range
+// is open-ended
+export const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+// "4 stars & up", "3 stars & up", ...
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const MAX_TAG_FACETS = 50;
+
+// Query values may be repeated (?tags=a&tags=b) or comma separated (?tags=a,b)
+const listParam = (value) => {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Conditions for ?tags=a,b (all tags must match) and ?attr[name]=v1,v2 (any
+// of the values of an attribute, and every attribute given must match)
+export const tagAndAttributeFilters = (query) => {
+  const conditions = [];
+
+  const tags = listParam(query.tags).map(tag => tag.toLowerCase());
+  if (tags.length > 0) {
+    conditions.push({ tags: { $all: tags } });
+  }
+
+  if (query.attr && typeof query.attr === 'object') {
+    for (const [name, value] of Object.entries(query.attr)) {
+      const values = listParam(value);
+      if (values.length > 0) {
+        conditions.push({
+          attributes: { $elemMatch: { name: name.toLowerCase(), value: { $in: values } } }
+        });
+      }
+    }
+  }
+
+  return conditions;
+};
+
+// Counts per category, price range, tag, attribute value and rating for the
+// products matching `filter`, for rendering filter sidebars
+export const productFacets = async (filter) => {
+  // Aggregation pipelines are not cast by Mongoose, so cast through a query
+  const match = Product.find(filter).cast();
+
+  const ratingCounts = Object.fromEntries(RATING_THRESHOLDS.map(rating => [
+    `rating${rating}`,
+    { $sum: { $cond: [{ $gte: ['$averageRating', rating] }, 1, 0] } }
+  ]));
+
+  const [facets] = await Product.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        prices: [
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: [...PRICE_BUCKETS, Infinity],
+              default: 'other',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_TAG_FACETS }
+        ],
+        attributes: [
+          { $unwind: '$attributes' },
+          {
+            $group: {
+              _id: { name: '$attributes.name', value: '$attributes.value' },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { '_id.name': 1, count: -1, '_id.value': 1 } }
+        ],
+        ratings: [
+          { $group: { _id: null, ...ratingCounts } }
+        ]
+      }
+    }
+  ]);
+
+  const categories = await Category.find({
+    _id: { $in: facets.categories.map(entry => entry._id) }
+  }).select('name slug');
+  const categoryMap = new Map(categories.map(category => [category._id.toString(), category]));
+
+  const attributes = new Map();
+  for (const entry of facets.attributes) {
+    if (!attributes.has(entry._id.name)) {
+      attributes.set(entry._id.name, []);
+    }
+    attributes.get(entry._id.name).push({ value: entry._id.value, count: entry.count });
+  }
+
+  const ratings = facets.ratings[0] || {};
+
+  return {
+    categories: facets.categories
+      .filter(entry => categoryMap.has(String(entry._id)))
+      .map(entry => {
+        const category = categoryMap.get(String(entry._id));
+        return { _id: category._id, name: category.name, slug: category.slug, count: entry.count };
+      }),
+    prices: facets.prices
+      .filter(entry => entry._id !== 'other')
+      .map(entry => {
+        const index = PRICE_BUCKETS.indexOf(entry._id);
+        return {
+          min: entry._id,
+          max: index < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[index + 1] : null,
+          count: entry.count
+        };
+      }),
+    tags: facets.tags.map(entry => ({ value: entry._id, count: entry.count })),
+    attributes: [...attributes].map(([name, values]) => ({ name, values })),
+    ratings: RATING_THRESHOLDS.map(rating => ({
+      minRating: rating,
+      count: ratings[`rating${rating}`] || 0
+    }))
+  };
+};
@@ -0,0 +1,404 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import StockReservation from '../models/StockReservation.js';
+import { sendMail, escapeHtml } from './mailer.js';
+import { emitEvent } from './events.js';
+import { productSnapshot, notifyWishlistWatchers } from './wishlistAlerts.js';
+
+const lineKey = (item) => `${item.product}:${item.variant || ''}`;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Merge duplicate lines so each product (or variant) is reserved once
+export const groupItems = (items) => {
+  const grouped = new Map();
+  for (const item of items) {
+    const key = lineKey(item);
+    if (grouped.has(key)) {
+      grouped.get(key).quantity += Number(item.quantity);
+    } else {
+      grouped.set(key, {
+        product: item.product.toString(),
+        variant: item.variant ? item.variant.toString() : undefined,
+        quantity: Number(item.quantity)
+      });
+    }
+  }
+  return [...grouped.values()];
+};
+
+const toObjectId = (id) => (id ? new mongoose.Types.ObjectId(id.toString()) : null);
+
+// Quantity of a product (or variant) held by active reservations, optionally
+// leaving out one user's own reservations
+export const reservedQuantity = async (product, variant, { excludeUser } = {}) => {
+  const match = {
+    product: toObjectId(product),
+    variant: toObjectId(variant),
+    expiresAt: { $gt: new Date() }
+  };
+  if (excludeUser) {
+    match.user = { $ne: toObjectId(excludeUser) };
+  }
+
+  const [result] = await StockReservation.aggregate([
+    { $match: match },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+  ]);
+  return result ? result.quantity : 0;
+};
+
+// Stock that can still be sold to `userId`: what is on hand minus what other
+// users are holding at checkout
+export const availableToSell = async (product, variant, userId) => {
+  const stock = variant ? variant.stock : product.stock;
+  const reserved = await reservedQuantity(product._id, variant && variant._id, { excludeUser: userId });
+  return Math.max(stock - reserved, 0);
+};
+
+export const defaultLowStockThreshold = () => {
+  const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD);
+  return isNaN(threshold) ? 5 : threshold;
+};
+
+// Stock at or below which a product (or each of its variants) is low.
+// Products can override the LOW_STOCK_THRESHOLD default.
+export const lowStockThreshold = (product) => {
+  return product.lowStockThreshold != null ? product.lowStockThreshold : defaultLowStockThreshold();
+};
+
+// Publish a product.low_stock event, and email LOW_STOCK_ALERT_EMAIL when set
+const sendLowStockAlert = async (product, variant, stock) => {
+  const threshold = lowStockThreshold(product);
+  emitEvent('product.low_stock', {
+    product: product._id,
+    name: product.name,
+    variant: variant ? variant._id : undefined,
+    sku: variant ? variant.sku : product.sku,
+    stock,
+    threshold
+  });
+
+  if (!process.env.LOW_STOCK_ALERT_EMAIL) {
+    return;
+  }
+  const label = variant ? `${product.name} (${variant.sku})` : product.name;
+  const message = `${label} is low on stock: ${stock} left (threshold ${threshold})`;
+  await sendMail({
+    to: process.env.LOW_STOCK_ALERT_EMAIL,
+    subject: `Low stock: ${label}`,
+    text: message,
+    html: `<p>${escapeHtml(message)}</p>`
+  });
+};
+
+// Write a ledger entry for a stock change already applied to `product`, and
+// alert when the change takes the stock down to the low-stock threshold
+const recordMovement = async (product, item, quantity, context) => {
+  const variant = product.findVariant(item.variant);
+  const stockAfter = variant ? variant.stock : product.stock;
+
+  await StockMovement.create({
+    product: product._id,
+    variant: variant ? variant._id : undefined,
+    sku: variant ? variant.sku : undefined,
+    type: context.type,
+    quantity,
+    stockAfter,
+    reason: context.reason,
+    note: context.note,
+    order: context.order,
+    returnRequest: context.returnRequest,
+    user: context.user
+  });
+  emitEvent('product.stock_changed', {
+    product: product._id,
+    name: product.name,
+    variant: variant ? variant._id : undefined,
+    sku: variant ? variant.sku : product.sku,
+    type: context.type,
+    quantity,
+    stockAfter
+  });
+
+  const threshold = lowStockThreshold(product);
+  if (quantity < 0 && stockAfter <= threshold && stockAfter - quantity > threshold) {
+    try {
+      await sendLowStockAlert(product, variant, stockAfter);
+    } catch (error) {
+      console.error('Low stock alert error:', error);
+    }
+  }
+};
+
+// Put stock back without recording it; resolves to the updated products
+const returnStock = async (items) => {
+  const products = [];
+  for (const item of items) {
+    const filter = item.variant
+      ? { _id: item.product, 'variants._id': item.variant }
+      : { _id: item.product };
+    const update = item.variant
+      ? { $inc: { stock: item.quantity, 'variants.$.stock': item.quantity } }
+      : { $inc: { stock: item.quantity } };
+    products.push(await Product.findOneAndUpdate(filter, update, { new: true }));
+  }
+  return products;
+};
+
+// Return previously reserved stock to the products (and their variants).
+// `context` describes the movement: { type, order, returnRequest, user, note }.
+// Users watching a product that comes back in stock are emailed.
+export const releaseStock = async (items, context = {}) => {
+  const before = new Map();
+  for (const product of await Product.find({ _id: { $in: items.map(item => item.product) } })) {
+    before.set(product._id.toString(), productSnapshot(product));
+  }
+
+  const products = await returnStock(items);
+  const updated = new Map();
+  for (let i = 0; i < items.length; i++) {
+    if (products[i]) {
+      await recordMovement(products[i], items[i], items[i].quantity, { type: 'cancellation', ...context });
+      updated.set(products[i]._id.toString(), products[i]);
+    }
+  }
+
+  for (const [id, product] of updated) {
+    notifyWishlistWatchers(before.get(id), product).catch(error => console.error('Wishlist alert error:', error));
+  }
+};
+
+// Explain why a guarded decrement matched nothing
+const reservationError = async (item) => {
+  const product = await Product.findById(item.product);
+  const variant = product && product.findVariant(item.variant);
+  let error;
+
+  if (!product || !product.isActive) {
+    error = new Error(`Product ${item.product} not found`);
+    error.statusCode = 404;
+  } else if (item.variant && (!variant || !variant.isActive)) {
+    error = new Error(`Variant ${item.variant} of ${product.name} not found`);
+    error.statusCode = 404;
+  } else if (!item.variant && product.hasVariants()) {
+    error = new Error(`Please select a variant of ${product.name}`);
+    error.statusCode = 400;
+  } else {
+    error = new Error(`Insufficient stock for ${product.name}${variant ? ` (${variant.sku})` : ''}`);
+    error.statusCode = 400;
+  }
+  return error;
+};
+
+// Atomically decrement stock for every line or for none of them.
+// Each decrement is guarded by `stock >= quantity` plus what other users hold
+// at checkout, so concurrent checkouts can never push stock below zero; if
+// any line fails, the lines already reserved are released again before the
+// error is thrown. Only a complete reservation is written to the ledger, as a
+// `sale` unless `context` says otherwise.
+export const reserveStock = async (items, context = {}) => {
+  const reserved = [];
+  const products = [];
+
+  try {
+    for (const item of groupItems(items)) {
+      // Stock other users are holding at checkout is not for sale
+      const held = await reservedQuantity(item.product, item.variant, { excludeUser: context.user });
+      const required = item.quantity + held;
+
+      let product;
+      if (item.variant) {
+        product = await Product.findOneAndUpdate(
+          {
+            _id: item.product,
+            isActive: true,
+            variants: {
+              $elemMatch: { _id: item.variant, isActive: true, stock: { $gte: required } }
+            }
+          },
+          { $inc: { stock: -item.quantity, 'variants.$.stock': -item.quantity } },
+          { new: true }
+        );
+      } else {
+        product = await Product.findOneAndUpdate(
+          {
+            _id: item.product,
+            isActive: true,
+            'variants.0': { $exists: false },
+            stock: { $gte: required }
+          },
+          { $inc: { stock: -item.quantity } },
+          { new: true }
+        );
+      }
+
+      if (!product) {
+        throw await reservationError(item);
+      }
+
+      reserved.push(item);
+      products.push(product);
+    }
+  } catch (error) {
+    await returnStock(reserved);
+    throw error;
+  }
+
+  for (let i = 0; i < reserved.length; i++) {
+    await recordMovement(products[i], reserved[i], -reserved[i].quantity, { type: 'sale', ...context });
+  }
+
+  return products;
+};
+
+// Manually add or remove stock (restocks, stock counts, damage...). Removing
+// is guarded so stock never goes below zero. Resolves to the updated product.
+export const adjustStock = async ({ product, variant, quantity, type = 'adjustment', reason, note, user }) => {
+  const guard = quantity < 0 ? { stock: { $gte: -quantity } } : {};
+  const updated = variant
+    ? await Product.findOneAndUpdate(
+      { _id: product, variants: { $elemMatch: { _id: variant, ...guard } } },
+      { $inc: { stock: quantity, 'variants.$.stock': quantity } },
+      { new: true }
+    )
+    : await Product.findOneAndUpdate(
+      { _id: product, 'variants.0': { $exists: false }, ...guard },
+      { $inc: { stock: quantity } },
+      { new: true }
+    );
+
+  if (!updated) {
+    const existing = await Product.findById(product);
+    if (!existing) {
+      throw httpError('Product not found', 404);
+    }
+    if (variant && !existing.findVariant(variant)) {
+      throw httpError('Variant not found', 404);
+    }
+    if (!variant && existing.hasVariants()) {
+      throw httpError(`Please select a variant of ${existing.name}`, 400);
+    }
+    throw httpError(`Insufficient stock for ${existing.name}`, 400);
+  }
+
+  await recordMovement(updated, { product, variant }, quantity, { type, reason, note, user });
+  return updated;
+};
+
+const SET_STOCK_ATTEMPTS = 5;
+
+// Set the stock of a product, or of one of its variants, to an exact level and
+// record the difference as a movement. The increment only applies while stock
+// is still what was read, and is retried otherwise, so sales made in the
+// meantime are never overwritten. Resolves to the updated product.
+export const setStock = async ({ product, variant, stock, type = 'adjustment', reason, note, user }) => {
+  for (let attempt = 0; attempt < SET_STOCK_ATTEMPTS; attempt++) {
+    const existing = await Product.findById(product);
+    if (!existing) {
+      throw httpError('Product not found', 404);
+    }
+    const line = variant ? existing.findVariant(variant) : existing;
+    if (!line) {
+      throw httpError('Variant not found', 404);
+    }
+    if (!variant && existing.hasVariants()) {
+      throw httpError(`Stock of ${existing.name} is set per variant`, 400);
+    }
+
+    const quantity = stock - line.stock;
+    if (quantity === 0) {
+      return existing;
+    }
+
+    const updated = variant
+      ? await Product.findOneAndUpdate(
+        { _id: product, variants: { $elemMatch: { _id: variant, stock: line.stock } } },
+        { $inc: { stock: quantity, 'variants.$.stock': quantity } },
+        { new: true }
+      )
+      : await Product.findOneAndUpdate(
+        { _id: product, 'variants.0': { $exists: false }, stock: line.stock },
+        { $inc: { stock: quantity } },
+        { new: true }
+      );
+
+    if (updated) {
+      await recordMovement(updated, { product, variant }, quantity, { type, reason, note, user });
+      return updated;
+    }
+  }
+
+  throw httpError('Stock changed while it was being updated, please retry', 409);
+};
+
+// Stock of each line of a product keyed by variant id ('' for a product
+// without variants), to compare before and after an edit
+export const stockLevels = (product) => {
+  if (!product.hasVariants()) {
+    return new Map([['', product.stock]]);
+  }
+  return new Map(product.variants.map(variant => [variant._id.toString(), variant.stock]));
+};
+
+// Record stock set directly on a product (on create or edit) as movements
+export const recordStockChanges = async (before, product, context) => {
+  for (const [key, stock] of stockLevels(product)) {
+    const quantity = stock - (before.get(key) || 0);
+    if (quantity !== 0) {
+      await recordMovement(product, { product: product._id, variant: key || undefined }, quantity, context);
+    }
+  }
+};
+
+// Active products and variants whose stock is at or below their threshold
+export const lowStockLines = async () => {
+  const threshold = { $ifNull: ['$lowStockThreshold', defaultLowStockThreshold()] };
+  const variants = { $ifNull: ['$variants', []] };
+
+  const products = await Product.find({
+    isActive: true,
+    $expr: {
+      $cond: [
+        { $gt: [{ $size: variants }, 0] },
+        {
+          $anyElementTrue: [{
+            $map: {
+              input: variants,
+              as: 'variant',
+              in: { $and: ['$$variant.isActive', { $lte: ['$$variant.stock', threshold] }] }
+            }
+          }]
+        },
+        { $lte: ['$stock', threshold] }
+      ]
+    }
+  }).select('name stock lowStockThreshold variants');
+
+  const lines = [];
+  for (const product of products) {
+    const productThreshold = lowStockThreshold(product);
+    if (!product.hasVariants()) {
+      lines.push({ product: product._id, name: product.name, stock: product.stock, threshold: productThreshold });
+      continue;
+    }
+    for (const variant of product.variants) {
+      if (variant.isActive && variant.stock <= productThreshold) {
+        lines.push({
+          product: product._id,
+          name: product.name,
+          variant: variant._id,
+          sku: variant.sku,
+          stock: variant.stock,
+          threshold: productThreshold
+        });
+      }
+    }
+  }
+  return lines.sort((a, b) => a.stock - b.stock);
+};
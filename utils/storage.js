@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Where uploaded files are kept. STORAGE_DRIVER picks the backend:
+//   local (default) - files under UPLOAD_DIR, served by the API at /uploads
+//   s3 - an S3 bucket or S3-compatible service (needs @aws-sdk/client-s3)
+// Every driver offers put(key, buffer, contentType) resolving to the file's
+// public URL, and remove(key).
+
+export const uploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const joinUrl = (base, key) => `${base.replace(/\/$/, '')}/${key}`;
+
+const localStorage = () => ({
+  async put(key, buffer) {
+    const file = path.join(uploadDir(), key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return joinUrl(process.env.UPLOAD_PUBLIC_URL || '/uploads', key);
+  },
+
+  async remove(key) {
+    await fs.rm(path.join(uploadDir(), key), { force: true });
+  }
+});
+
+const s3Storage = async () => {
+  let s3;
+  try {
+    s3 = await import('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=s3 needs the @aws-sdk/client-s3 package installed');
+  }
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const client = new s3.S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    // Set for S3-compatible services such as MinIO or DigitalOcean Spaces
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+      : undefined
+  });
+  const publicUrl = process.env.S3_PUBLIC_URL ||
+    (process.env.S3_ENDPOINT
+      ? joinUrl(process.env.S3_ENDPOINT, bucket)
+      : `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`);
+
+  return {
+    async put(key, buffer, contentType) {
+      await client.send(new s3.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+      return joinUrl(publicUrl, key);
+    },
+
+    async remove(key) {
+      await client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+const drivers = {
+  local: localStorage,
+  s3: s3Storage
+};
+
+let driver;
+
+// The configured storage driver, created on first use
+export const storage = async () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+    driver = await drivers[name]();
+  }
+  return driver;
+};
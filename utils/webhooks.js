@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { onEvent } from './events.js';
+
+// Deliveries are POSTed as JSON and signed like payment provider webhooks:
+// an HMAC-SHA256 of `${timestamp}.${body}` with the webhook's secret, sent
+// as `t=<timestamp>,v1=<hex>` in X-Webhook-Signature. Failed attempts are
+// retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+export const TEST_EVENT_TYPE = 'webhook.test';
+
+const RESPONSE_BODY_LIMIT = 1000;
+const DUE_BATCH_SIZE = 50;
+
+export const maxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const retryBaseSeconds = () => parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const timeoutMs = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const pollSeconds = () => parseInt(process.env.WEBHOOK_POLL_SECONDS) || 15;
+
+export const signPayload = (secret, timestamp, body) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+};
+
+// Wait before the next attempt: the base delay doubled after each failure
+// (30s, 1m, 2m, 4m... by default)
+export const retryDelay = (attempts) => retryBaseSeconds() * 1000 * 2 ** (attempts - 1);
+
+const eventPayload = (event) => JSON.stringify({
+  id: event.id,
+  type: event.type,
+  occurredAt: event.occurredAt,
+  data: event.data
+});
+
+// POST a delivery to its webhook and record the outcome. The delivery is
+// claimed first by pushing nextAttemptAt past the request timeout, so
+// overlapping workers never send the same attempt twice. Resolves to the
+// updated delivery, or null if it wasn't due.
+export const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + timeoutMs() + 60 * 1000) } },
+    { new: true }
+  );
+  if (!delivery) {
+    return null;
+  }
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const attempt = { attemptedAt: new Date() };
+  const started = Date.now();
+
+  if (!webhook || !webhook.isActive) {
+    attempt.error = 'Webhook is disabled or was deleted';
+  } else {
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'RK-Webhooks/1.0',
+          'X-Webhook-Id': webhook._id.toString(),
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Event': delivery.eventType,
+          [SIGNATURE_HEADER]: `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, delivery.payload)}`
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs())
+      });
+      attempt.responseStatus = response.status;
+      attempt.responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+      if (!response.ok) {
+        attempt.error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+    }
+  }
+  attempt.durationMs = Date.now() - started;
+
+  const attempts = delivery.attempts + 1;
+  const update = { $set: { attempts }, $push: { attemptLog: attempt } };
+  if (!attempt.error) {
+    update.$set.status = 'succeeded';
+    update.$set.deliveredAt = new Date();
+    update.$unset = { nextAttemptAt: 1 };
+  } else if (attempts >= maxAttempts() || !webhook || !webhook.isActive) {
+    update.$set.status = 'failed';
+    update.$unset = { nextAttemptAt: 1 };
+  } else {
+    update.$set.nextAttemptAt = new Date(Date.now() + retryDelay(attempts));
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+};
+
+const queueDelivery = async (webhook, event) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    eventId: event.id,
+    eventType: event.type,
+    payload: eventPayload(event),
+    nextAttemptAt: new Date()
+  });
+  return attemptDelivery(delivery._id);
+};
+
+// Send an event to every active webhook subscribed to it
+export const deliverEvent = async (event) => {
+  const webhooks = await Webhook.find({ isActive: true, events: { $in: [event.type, '*'] } });
+  await Promise.all(webhooks.map(webhook => queueDelivery(webhook, event)));
+};
+
+// Send a `webhook.test` event to one webhook, whatever it subscribes to
+export const sendTestEvent = (webhook) => {
+  return queueDelivery(webhook, {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: TEST_EVENT_TYPE,
+    occurredAt: new Date(),
+    data: { webhook: webhook._id, message: 'Test delivery' }
+  });
+};
+
+// Send a delivery again right away with the same payload, e.g. once the
+// endpoint has been fixed. It gets a fresh set of retries; earlier attempts
+// stay in the log.
+export const redeliver = async (delivery) => {
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } }
+  );
+  return attemptDelivery(delivery._id);
+};
+
+const retryDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort('nextAttemptAt')
+    .limit(DUE_BATCH_SIZE)
+    .select('_id');
+  for (const delivery of due) {
+    await attemptDelivery(delivery._id);
+  }
+};
+
+let worker;
+
+// Deliver domain events to webhooks from now on, and retry failed deliveries
+// every WEBHOOK_POLL_SECONDS. Called once the database is connected.
+export const startWebhookDelivery = () => {
+  if (worker) {
+    return;
+  }
+
+  onEvent('*', deliverEvent);
+  worker = setInterval(() => {
+    retryDueDeliveries().catch(error => console.error('Webhook retry error:', error));
+  }, pollSeconds() * 1000);
+  worker.unref();
+};
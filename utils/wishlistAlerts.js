@@ -0,0 +1,76 @@
+import Wishlist from '../models/Wishlist.js';
+import { sendMail, escapeHtml } from './mailer.js';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Price and sellable stock of a product and each of its variants, keyed by
+// variant id ('' for the product itself). Taken before and after an update.
+export const productSnapshot = (product) => {
+  const snapshot = new Map();
+  snapshot.set('', {
+    price: product.price,
+    stock: product.isActive ? product.stock : 0
+  });
+  for (const variant of product.variants) {
+    snapshot.set(variant._id.toString(), {
+      price: product.priceFor(variant),
+      stock: product.isActive && variant.isActive ? variant.stock : 0
+    });
+  }
+  return snapshot;
+};
+
+const sendWishlistAlert = async (user, product, message) => {
+  const link = `${frontendUrl()}/products/${product._id}`;
+  await sendMail({
+    to: user.email,
+    subject: `${product.name} ${message}`,
+    text: `Hi ${user.name},\n\n${product.name} from your wishlist ${message}.\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>${escapeHtml(product.name)} from your wishlist ${message}.</p><p><a href="${link}">${link}</a></p>`
+  });
+};
+
+// Email users watching a product when its price drops or it comes back in
+// stock. `before` is the productSnapshot taken before the update.
+export const notifyWishlistWatchers = async (before, product) => {
+  const after = productSnapshot(product);
+  const wishlists = await Wishlist.find({
+    'items.product': product._id,
+    notifications: true
+  }).populate('user', 'name email isActive');
+
+  // A product on several of a user's lists is only announced once
+  const notified = new Set();
+
+  for (const wishlist of wishlists) {
+    if (!wishlist.user || !wishlist.user.isActive) {
+      continue;
+    }
+
+    for (const item of wishlist.items) {
+      if (item.product.toString() !== product._id.toString()) {
+        continue;
+      }
+
+      const key = item.variant ? item.variant.toString() : '';
+      const previous = before.get(key);
+      const current = after.get(key);
+      if (!previous || !current || current.stock <= 0) {
+        continue;
+      }
+
+      let message = null;
+      if (previous.stock <= 0) {
+        message = 'is back in stock';
+      } else if (current.price < previous.price) {
+        message = `dropped in price to ${current.price.toFixed(2)}`;
+      }
+
+      const userKey = `${wishlist.user._id}:${key}`;
+      if (message && !notified.has(userKey)) {
+        notified.add(userKey);
+        await sendWishlistAlert(wishlist.user, product, message);
+      }
+    }
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Local Webhook Receiver
+ * Run with: WEBHOOK_SECRET=whsec_... node webhook-stub.js
+ *
+ * Listens on http://localhost:4000 (WEBHOOK_STUB_PORT), checks the
+ * X-Webhook-Signature of every delivery and prints it. Register
+ * http://localhost:4000/ as a webhook URL to watch events arrive.
+ *
+ * Set STUB_FAIL_COUNT=N to answer the first N deliveries with HTTP 500
+ * and see them retried.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = process.env.WEBHOOK_STUB_PORT || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const TOLERANCE_SECONDS = 5 * 60;
+
+let failuresLeft = parseInt(process.env.STUB_FAIL_COUNT) || 0;
+
+// Check a `t=<timestamp>,v1=<hex>` header against the raw body
+function verifySignature(header, body) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(part => part.split('='))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) {
+    return 'missing signature';
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return 'timestamp outside tolerance';
+  }
+
+  const expected = crypto
+    .createHmac('sha256', SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  const valid = expected.length === parts.v1.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+  return valid ? null : 'signature mismatch';
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`\n📨 ${req.headers['x-webhook-event']} (delivery ${req.headers['x-webhook-delivery']})`);
+
+    if (SECRET) {
+      const problem = verifySignature(req.headers['x-webhook-signature'], body);
+      if (problem) {
+        console.log(`❌ Rejected: ${problem}`);
+        res.writeHead(401, { 'Content-Type': 'text/plain' });
+        return res.end(problem);
+      }
+      console.log('✅ Signature verified');
+    } else {
+      console.log('⚠️  WEBHOOK_SECRET not set, signature not checked');
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`💥 Simulating failure (${failuresLeft} left)`);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      return res.end('Simulated failure');
+    }
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🪝 Webhook stub listening on http://localhost:${PORT}/`);
+});